@@ -0,0 +1,100 @@
+// Role that grants access to the /api/admin routes
+const ADMIN_ROLE = 'admin';
+
+// Table that records every admin action
+const AUDIT_LOG_TABLE = 'admin_audit_log';
+
+/**
+ * Create the admin guard and audit log.
+ *
+ * A user is an admin when their Supabase JWT carries `app_metadata.role =
+ * "admin"` (only the service role can set app_metadata) or their row in the
+ * `users` table has `role = 'admin'`.
+ *
+ * Audit entries go to the `admin_audit_log` table:
+ * admin_id, admin_email, action, target_user_id, details (jsonb), ip, created_at.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.supabase - Supabase client (service role)
+ * @returns {Object} { requireAdmin, recordAdminAction, isAdmin }
+ */
+export function createAdminAuth({ supabase }) {
+
+    /**
+     * Check whether a Supabase user has the admin role
+     *
+     * @param {Object} user - Supabase auth user
+     * @returns {Promise<boolean>} True for admins
+     */
+    async function isAdmin(user) {
+        if (user.app_metadata?.role === ADMIN_ROLE) return true;
+
+        const { data, error } = await supabase
+            .from('users')
+            .select('role')
+            .eq('id', user.id)
+            .maybeSingle();
+
+        if (error) {
+            console.error("Error checking admin role:", error);
+            return false;
+        }
+        return data?.role === ADMIN_ROLE;
+    }
+
+    /**
+     * Express middleware that lets only admins through (use after
+     * requireAuth). Sets req.adminUser to { id, email }.
+     *
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    async function requireAdmin(req, res, next) {
+        try {
+            if (!(await isAdmin(req.user))) {
+                console.warn(`🚫 Non-admin user ${req.user.id} tried to access ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({ error: "Admin access required", code: 'admin_required' });
+            }
+
+            req.adminUser = { id: req.user.id, email: req.user.email };
+            next();
+        } catch (err) {
+            console.error("Admin authorization error:", err);
+            return res.status(500).json({ error: "Server error", details: err.message });
+        }
+    }
+
+    /**
+     * Write an admin action to the audit log. Failures are logged rather
+     * than thrown, since the action itself has already happened.
+     *
+     * @param {Object} req - Express request that passed requireAdmin
+     * @param {string} action - What was done (e.g. "override-subscription")
+     * @param {Object} [entry] - { targetUserId, details }
+     * @returns {Promise<boolean>} True if the entry was written
+     */
+    async function recordAdminAction(req, action, { targetUserId = null, details = {} } = {}) {
+        const { error } = await supabase
+            .from(AUDIT_LOG_TABLE)
+            .insert({
+                admin_id: req.adminUser.id,
+                admin_email: req.adminUser.email,
+                action,
+                target_user_id: targetUserId,
+                details,
+                ip: req.ip,
+                created_at: new Date().toISOString()
+            });
+
+        if (error) {
+            console.error(`❌ Failed to write audit log entry for ${action} by ${req.adminUser.id}:`, error);
+            return false;
+        }
+
+        console.log(`📝 Admin ${req.adminUser.email} ${action}${targetUserId ? ` on user ${targetUserId}` : ''}`);
+        return true;
+    }
+
+    return { requireAdmin, recordAdminAction, isAdmin };
+}
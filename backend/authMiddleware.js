@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+
+// Audience Supabase puts in access tokens of signed-in users
+const SUPABASE_AUDIENCE = 'authenticated';
+
+// How long fetched signing keys are trusted before the JWKS is fetched again
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+
+// Node signature algorithms for the JWT algorithms Supabase uses
+const ASYMMETRIC_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Error for a request that failed authentication or authorization
+ *
+ * @param {number} status - HTTP status (401 or 403)
+ * @param {string} code - Machine-readable error code
+ * @param {string} message - Error message for the client
+ * @returns {Error} Error carrying status and code
+ */
+function authError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Decode one base64url segment of a JWT as JSON
+ *
+ * @param {string} segment - base64url text
+ * @returns {Object} Parsed JSON
+ */
+function decodeSegment(segment) {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+/**
+ * Build the user object routes expect from verified Supabase JWT claims
+ * (the same fields supabase.auth.getUser returns that routes rely on)
+ *
+ * @param {Object} claims - JWT payload
+ * @returns {Object} { id, email, role, app_metadata, user_metadata }
+ */
+function userFromClaims(claims) {
+    return {
+        id: claims.sub,
+        email: claims.email,
+        role: claims.role,
+        app_metadata: claims.app_metadata || {},
+        user_metadata: claims.user_metadata || {}
+    };
+}
+
+/**
+ * Create the authentication middleware shared by all routes.
+ *
+ * Tokens are verified locally when possible, which avoids a round trip to
+ * Supabase on every request: HS256 tokens with the project's JWT secret,
+ * RS256/ES256 tokens with the project's JWKS. Anything that can't be checked
+ * locally falls back to supabase.auth.getUser. Local verification doesn't
+ * see sessions revoked before the token expires.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.supabase - Supabase client (service role)
+ * @param {Function} deps.loadEntitlements - (user) => Promise<Object> with at least { isSubscribed }
+ * @param {Object} [deps.options] - { jwtSecret, jwksUrl }
+ * @returns {Object} { requireAuth, requirePremium, authenticateRequest }
+ */
+export function createAuthMiddleware({ supabase, loadEntitlements, options = {} }) {
+    const { jwtSecret, jwksUrl } = options;
+    let jwks = { keys: new Map(), fetchedAt: 0 };
+
+    if (jwtSecret || jwksUrl) {
+        console.log(`🔐 Verifying access tokens locally (${[jwtSecret && 'JWT secret', jwksUrl && 'JWKS'].filter(Boolean).join(', ')})`);
+    }
+
+    // Get a signing key by id, refetching the JWKS when the id is unknown or the cache is old
+    async function getSigningKey(kid) {
+        const stale = Date.now() - jwks.fetchedAt > JWKS_CACHE_MS;
+        if (stale || !jwks.keys.has(kid)) {
+            // Don't refetch for unknown ids more than once a minute
+            if (!stale && Date.now() - jwks.fetchedAt < 60 * 1000) return null;
+
+            const response = await fetch(jwksUrl);
+            if (!response.ok) throw new Error(`JWKS request failed with status ${response.status}`);
+            const { keys = [] } = await response.json();
+            jwks = {
+                keys: new Map(keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])),
+                fetchedAt: Date.now()
+            };
+        }
+        return jwks.keys.get(kid) || null;
+    }
+
+    /**
+     * Verify a JWT locally
+     *
+     * @param {string} token - Access token
+     * @returns {Promise<Object|null>} Verified claims, or null if it can't be checked locally
+     * @throws {Error} 401 error if the token is invalid or expired
+     */
+    async function verifyLocally(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) throw authError(401, 'invalid_token', "Malformed access token");
+
+        let header, claims;
+        try {
+            header = decodeSegment(parts[0]);
+            claims = decodeSegment(parts[1]);
+        } catch {
+            throw authError(401, 'invalid_token', "Malformed access token");
+        }
+
+        const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+        const signature = Buffer.from(parts[2], 'base64url');
+        let valid;
+
+        if (header.alg === 'HS256' && jwtSecret) {
+            const expected = crypto.createHmac('sha256', jwtSecret).update(signed).digest();
+            valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+        } else if (ASYMMETRIC_ALGORITHMS[header.alg] && jwksUrl) {
+            const key = await getSigningKey(header.kid);
+            if (!key) return null;
+            const { hash, dsaEncoding } = ASYMMETRIC_ALGORITHMS[header.alg];
+            valid = crypto.verify(hash, signed, dsaEncoding ? { key, dsaEncoding } : key, signature);
+        } else {
+            return null;
+        }
+
+        if (!valid) throw authError(401, 'invalid_token', "Invalid access token");
+        if (!claims.exp || claims.exp * 1000 <= Date.now()) throw authError(401, 'token_expired', "Access token has expired");
+        if (claims.aud !== SUPABASE_AUDIENCE && !(Array.isArray(claims.aud) && claims.aud.includes(SUPABASE_AUDIENCE))) {
+            throw authError(401, 'invalid_token', "Access token is not for a signed-in user");
+        }
+        return claims;
+    }
+
+    /**
+     * Verify the request's bearer token and return its user
+     *
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} Supabase user
+     * @throws {Error} 401 error if the token is missing or invalid
+     */
+    async function authenticateRequest(req) {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (!req.headers.authorization) throw authError(401, 'missing_token', "Missing Authorization header");
+        if (scheme !== 'Bearer' || !token) throw authError(401, 'invalid_token', "Malformed Authorization header");
+
+        if (jwtSecret || jwksUrl) {
+            try {
+                const claims = await verifyLocally(token);
+                if (claims) return userFromClaims(claims);
+            } catch (err) {
+                if (err.status) throw err;
+                console.warn("⚠️ Local token verification unavailable, asking Supabase:", err.message);
+            }
+        }
+
+        const { data, error } = await supabase.auth.getUser(token);
+        if (error || !data?.user) {
+            throw authError(401, 'invalid_token', "Authentication failed: " + (error?.message || "No user found for this token"));
+        }
+        return data.user;
+    }
+
+    /**
+     * Express middleware that requires a signed-in user. Sets req.user and
+     * req.entitlements, or responds 401 { error, code }.
+     *
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    async function requireAuth(req, res, next) {
+        try {
+            req.user = await authenticateRequest(req);
+            req.entitlements = await loadEntitlements(req.user);
+            next();
+        } catch (err) {
+            if (err.status) {
+                console.warn(`🚫 ${req.method} ${req.originalUrl}: ${err.message}`);
+                return res.status(err.status).json({ error: err.message, code: err.code });
+            }
+            console.error("Authentication error:", err);
+            return res.status(500).json({ error: "Authentication error", details: err.message });
+        }
+    }
+
+    /**
+     * Express middleware that requires a paid subscription (use after
+     * requireAuth). Responds 403 { error, code } for users on the free plan.
+     *
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     * @param {Function} next - Next middleware
+     */
+    function requirePremium(req, res, next) {
+        if (!req.entitlements?.isSubscribed) {
+            console.warn(`🚫 ${req.method} ${req.originalUrl}: ${req.user?.email || 'user'} has no subscription`);
+            return res.status(403).json({ error: "This feature requires a premium subscription.", code: 'premium_required' });
+        }
+        next();
+    }
+
+    return { requireAuth, requirePremium, authenticateRequest };
+}
@@ -0,0 +1,78 @@
+// Billing intervals a plan can be bought for, as Stripe names them
+export const BILLING_INTERVALS = ['month', 'year'];
+
+/**
+ * Create the price catalog, which maps plans and billing intervals to the
+ * Stripe prices they're sold at, and Stripe subscriptions back to plans.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.plans - Plans keyed by id (see config.plans)
+ * @param {Object} deps.prices - Stripe price ids keyed by plan id, then interval
+ * @param {number} deps.trialDays - Free trial for new subscriptions (0 for none)
+ * @returns {Object} { getPriceId, getPlanForSubscription, listCheckoutOptions }
+ */
+export function createPriceCatalog({ plans, prices, trialDays }) {
+    // Price id → { planId, interval }, for reading plans off subscriptions
+    const planByPrice = new Map();
+    for (const [planId, intervals] of Object.entries(prices)) {
+        if (!plans[planId]) throw new Error(`Stripe prices configured for unknown plan "${planId}"`);
+        for (const interval of BILLING_INTERVALS) {
+            if (intervals[interval]) planByPrice.set(intervals[interval], { planId, interval });
+        }
+    }
+
+    if (planByPrice.size === 0) {
+        console.warn("⚠️ WARNING: No Stripe prices configured. Checkout will not work.");
+    }
+
+    /**
+     * Find the Stripe price for a plan and billing interval
+     *
+     * @param {string} planId - Plan id
+     * @param {string} interval - 'month' or 'year'
+     * @returns {string|null} Stripe price id, or null if that combination isn't sold
+     */
+    function getPriceId(planId, interval) {
+        return prices[planId]?.[interval] || null;
+    }
+
+    /**
+     * Work out which plan a Stripe subscription is for, from its price. Falls
+     * back to the plan recorded in the subscription's metadata at checkout, in
+     * case the price has since been removed from the configuration.
+     *
+     * @param {Object} subscription - Stripe subscription
+     * @returns {Object|null} { planId, interval }, or null if the plan is unknown
+     */
+    function getPlanForSubscription(subscription) {
+        const price = subscription.items?.data?.[0]?.price;
+        const known = price && planByPrice.get(price.id);
+        if (known) return known;
+
+        const planId = subscription.metadata?.plan_id;
+        if (planId && plans[planId]) {
+            return { planId, interval: price?.recurring?.interval || subscription.metadata?.billing_interval || null };
+        }
+
+        console.warn(`⚠️ Subscription ${subscription.id} has price ${price?.id || 'none'}, which matches no plan`);
+        return null;
+    }
+
+    /**
+     * List what can be bought at checkout, for the client's plan picker
+     *
+     * @returns {Array<Object>} [{ planId, name, intervals, trialDays }]
+     */
+    function listCheckoutOptions() {
+        return Object.keys(prices)
+            .map(planId => ({
+                planId,
+                name: plans[planId].name,
+                intervals: BILLING_INTERVALS.filter(interval => getPriceId(planId, interval)),
+                trialDays
+            }))
+            .filter(option => option.intervals.length > 0);
+    }
+
+    return { getPriceId, getPlanForSubscription, listCheckoutOptions };
+}
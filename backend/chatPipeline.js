@@ -0,0 +1,481 @@
+import config from './config/env.js';
+import { processUploadedFiles, storeUploadedFiles, localizeFiles, buildAttachmentsText, extractDocumentText, isPdfFile, isTabularFile, parseSpreadsheetRange, selectLibraryFilesForTurn } from './fileUtils.js';
+import { resolveProvider, getContextBudget } from './providerRegistry.js';
+import { fitMessagesToBudget } from './contextBudget.js';
+import { canonicalizeSessionId } from './uploadValidation.js';
+import { isModelAllowed } from './entitlements.js';
+
+// System prompt that starts every conversation
+export const SYSTEM_PROMPT = "You are PantherAI, a helpful assistant that can analyze various types of documents and images to help users.";
+
+// Default model when the client doesn't pick one
+const DEFAULT_MODEL = "gpt-3.5-turbo";
+
+/**
+ * Create an error that stops the pipeline with an HTTP status
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message for the client
+ * @param {Object} [details] - Extra fields for the error response (e.g. rejectedFiles)
+ * @returns {Error} Error carrying the status
+ */
+function chatError(status, message, details) {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+}
+
+/**
+ * Write a server-sent event
+ *
+ * @param {object} res - Express response object
+ * @param {Object} payload - Event data
+ */
+function writeEvent(res, payload) {
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Switch a response to server-sent events
+ *
+ * @param {object} res - Express response object
+ */
+function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+
+    // CORS headers for SSE
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, DELETE');
+}
+
+// Output adapter for /api/chat: a single JSON response
+const jsonAdapter = {
+    name: 'json',
+
+    fail(res, status, message, details) {
+        return res.status(status).json({ error: message, ...details });
+    },
+
+    async dispatch(res, ctx, persist) {
+        const { text: reply, usage, reasoning } = await ctx.provider.generate(ctx.messages, ctx.model);
+        await persist(reply, reasoning ? { usage, reasoning } : { usage });
+        const body = { reply };
+        if (reasoning) body.reasoning = reasoning;
+        if (ctx.contextTrim) body.context = ctx.contextTrim;
+        if (ctx.rejectedFiles.length > 0) body.rejectedFiles = ctx.rejectedFiles;
+        return res.json(body);
+    }
+};
+
+// Output adapter for /api/chat/stream: server-sent events
+const sseAdapter = {
+    name: 'sse',
+
+    fail(res, status, message, details) {
+        if (!res.headersSent) {
+            res.status(status);
+            startEventStream(res);
+        }
+        writeEvent(res, { error: message, ...details });
+        return res.end();
+    },
+
+    async dispatch(res, ctx, persist) {
+        startEventStream(res);
+        // Report uploads the server refused, with the reason for each
+        if (ctx.rejectedFiles.length > 0) {
+            writeEvent(res, { rejectedFiles: ctx.rejectedFiles });
+        }
+        // Let the client know when older history was left out
+        if (ctx.contextTrim) {
+            writeEvent(res, { context: ctx.contextTrim });
+        }
+        // Streaming services write chunks, the done event and errors themselves
+        return ctx.provider.stream(res, ctx.messages, ctx.model, persist);
+    }
+};
+
+/**
+ * Create the chat pipeline shared by the JSON and streaming chat routes
+ *
+ * The pipeline runs authorize → rate limit → build context → fit context → dispatch → persist,
+ * and an output adapter decides how results and errors are written. Routes put
+ * requireAuth in front of it, which sets req.user and req.entitlements.
+ *
+ * @param {Object} deps - Pipeline dependencies
+ * @param {Object} deps.rateLimiter - Per-user and per-model-family rate limits
+ * @param {Object} deps.conversationStore - Store for history, selected model and files
+ * @param {Object} deps.fileStorage - Storage for uploaded files
+ * @param {Object} deps.fileRetention - Upload quotas and retention
+ * @param {Object} deps.usageLedger - Records each message's token usage and cost
+ * @returns {Object} Express handlers { handleChat, handleChatStream }
+ */
+export function createChatPipeline({ rateLimiter, conversationStore, fileStorage, fileRetention, usageLedger }) {
+
+    // Validate the request body and uploaded files
+    function parseRequest(req) {
+        const { message, model } = req.body;
+        const files = req.files || [];
+        const rejectedFiles = req.rejectedFiles || [];
+        console.log(`Request body: sessionId=${req.body.sessionId}, model=${model}, message=${message?.substring(0, 50)}`);
+        console.log(`Files attached: ${files.length}, rejected: ${rejectedFiles.length}`);
+
+        if (!req.body.sessionId) {
+            throw chatError(400, "Session ID is required.");
+        }
+        const sessionId = canonicalizeSessionId(req.body.sessionId);
+        if (!sessionId) {
+            throw chatError(400, "Invalid session ID.");
+        }
+
+        const hasMessage = !!message && message.trim() !== '';
+        if (!hasMessage && files.length === 0) {
+            if (rejectedFiles.length > 0) {
+                throw chatError(400, "None of the uploaded files were accepted.", { rejectedFiles });
+            }
+            throw chatError(400, "Message or files are required.");
+        }
+
+        return { sessionId, message: message || '', requestedModel: model, files, rejectedFiles };
+    }
+
+    // Enforce the plan's quotas and resolve the model
+    async function authorize(ctx) {
+        const { planName, limits } = ctx.entitlements;
+        ctx.isSubscribed = ctx.entitlements.isSubscribed;
+        console.log(`User ${ctx.user.email} plan: ${ctx.entitlements.plan}, subscribed: ${ctx.isSubscribed}`);
+
+        const existingChat = await conversationStore.getChat(ctx.sessionId, ctx.user.id);
+
+        // Enforce the plan's chat and message quotas (null means unlimited)
+        if (!existingChat) {
+            if (limits.maxChats !== null) {
+                const totalChats = await conversationStore.countChats(ctx.user.id);
+                if (totalChats >= limits.maxChats) {
+                    throw chatError(403, `${planName} plan limit reached: Maximum ${limits.maxChats} chats allowed. Please upgrade to continue.`, { code: 'chat_limit_reached' });
+                }
+            }
+        } else if (limits.maxMessagesPerChat !== null && existingChat.messageCount >= limits.maxMessagesPerChat) {
+            throw chatError(403, `${planName} plan limit: Maximum ${limits.maxMessagesPerChat} messages per chat reached. Please start a new chat or upgrade for unlimited access.`, { code: 'message_limit_reached' });
+        }
+
+        // Build the history from the chat just loaded, so it's current even if another instance added to it
+        ctx.history = await conversationStore.getHistory(ctx.sessionId, ctx.user.id, existingChat);
+
+        // Resolve the requested model through the provider registry
+        ctx.model = ctx.requestedModel || await conversationStore.getSelectedModel(ctx.sessionId) || DEFAULT_MODEL;
+        ctx.provider = resolveProvider(ctx.model);
+        if (!ctx.provider) {
+            throw chatError(400, `Unknown model: ${ctx.model}`);
+        }
+
+        console.log(`Selected model: ${ctx.model}`);
+        if (!isModelAllowed(ctx.entitlements, ctx.model)) {
+            console.log(`🚫 ${ctx.model} requested on the ${ctx.entitlements.plan} plan`);
+            throw chatError(403, `${ctx.model} isn't included in the ${planName} plan. Please upgrade to access this model.`, { code: 'model_not_allowed' });
+        }
+
+        await conversationStore.setSelectedModel(ctx.sessionId, ctx.model);
+    }
+
+    // Throttle the user by plan and by the model's family
+    async function rateLimit(ctx) {
+        const result = await rateLimiter.checkUser(ctx.user, ctx.entitlements, ctx.model);
+        if (result.allowed) return;
+
+        console.warn(`🚦 Rate limited ${ctx.user.email} (${result.scope}) for ${result.retryAfterSeconds}s`);
+        const error = chatError(429, `Too many requests. Try again in ${result.retryAfterSeconds} second${result.retryAfterSeconds === 1 ? "" : "s"}.`, {
+            code: 'rate_limited',
+            retryAfter: result.retryAfterSeconds
+        });
+        error.retryAfter = result.retryAfterSeconds;
+        throw error;
+    }
+
+    // Attach the images sent with earlier user turns again, from the chat's
+    // library, newest turn first so an image sent more than once stays with
+    // its latest turn (the oldest turns are the first trimmed to fit)
+    async function attachHistoryImages(ctx, libraryFiles) {
+        const history = ctx.history.map(({ role, content }) => ({ role, content }));
+        if (!ctx.provider.capabilities.vision) return history;
+
+        const filesById = new Map(libraryFiles.map(file => [file.id, file]));
+        for (let i = ctx.history.length - 1; i >= 0; i--) {
+            const imageFiles = (ctx.history[i].images || []).map(id => filesById.get(id)).filter(Boolean);
+            if (imageFiles.length === 0) continue;
+
+            try {
+                const imageContents = (await ctx.provider.formatImages(await localizeFiles(imageFiles, fileStorage), ctx.sentImageHashes))
+                    .filter(item => item !== null);
+                if (imageContents.length > 0) {
+                    history[i].content = [{ type: "text", text: history[i].content }, ...imageContents];
+                }
+            } catch (error) {
+                // The turn's text is still sent; the model just doesn't see its images again
+                console.warn(`⚠️ Could not attach earlier images again:`, error.message);
+            }
+        }
+        return history;
+    }
+
+    // Turn the history, message and attachments into provider messages
+    async function buildContext(ctx) {
+        // Content hashes of the images sent with this request, so each image goes to the model once per chat
+        ctx.sentImageHashes = new Set();
+        let uploadedFiles = [];
+        if (ctx.files.length > 0) {
+            // Enforce the user's storage quota before keeping the uploads
+            const incomingBytes = ctx.files.reduce((total, file) => total + (file.size || 0), 0);
+            const quota = await fileRetention.checkQuota(ctx.user.id, ctx.entitlements.limits.storageQuotaMb, incomingBytes);
+            if (!quota.allowed) {
+                const usedMb = (quota.usedBytes / (1024 * 1024)).toFixed(1);
+                const limitMb = Math.round(quota.limitBytes / (1024 * 1024));
+                throw chatError(413, `Storage quota exceeded: you are using ${usedMb} MB of ${limitMb} MB. Delete files from your chats${ctx.isSubscribed ? '' : ' or upgrade'} to upload more.`);
+            }
+
+            try {
+                await storeUploadedFiles(ctx.files, `${ctx.user.id}/${ctx.sessionId}`, fileStorage);
+                uploadedFiles = processUploadedFiles(ctx.files, ctx.sessionId);
+                await conversationStore.addFiles(ctx.sessionId, ctx.user.id, uploadedFiles);
+                console.log(`📁 Processed ${uploadedFiles.length} files for session ${ctx.sessionId}`);
+
+                if (uploadedFiles.length !== ctx.files.length) {
+                    console.warn(`⚠️ Warning: Only ${uploadedFiles.length} out of ${ctx.files.length} files were processed`);
+                }
+            } catch (fileError) {
+                console.error("❌ Error processing uploaded files:", fileError);
+                throw chatError(500, "Error processing uploaded files: " + fileError.message);
+            }
+        }
+
+        // Re-attach pinned files and earlier files the message refers to
+        // (earlier images are skipped for models that can't see them)
+        const uploadedIds = new Set(uploadedFiles.map(file => file.id));
+        const earlierFiles = (await conversationStore.getFiles(ctx.sessionId, ctx.user.id))
+            .filter(file => !uploadedIds.has(file.id));
+        const reattachedFiles = await localizeFiles(
+            selectLibraryFilesForTurn(ctx.message, earlierFiles)
+                .filter(file => ctx.provider.capabilities.vision || !file.mimetype.startsWith('image/')),
+            fileStorage
+        );
+        if (reattachedFiles.length > 0) {
+            console.log(`📎 Re-attaching ${reattachedFiles.length} files from the chat's library: ${reattachedFiles.map(f => f.originalname).join(', ')}`);
+            ctx.files = [...ctx.files, ...reattachedFiles];
+        }
+
+        const imageFiles = ctx.files.filter(f => f.mimetype && f.mimetype.startsWith('image/'));
+        const otherFiles = ctx.files.filter(f => !f.mimetype || !f.mimetype.startsWith('image/'));
+        console.log(`Classified files: ${imageFiles.length} images, ${otherFiles.length} text/documents`);
+
+        // Send PDFs natively when enabled and the provider reads them, otherwise extract their text
+        const sendPdfsNatively = config.documents.nativePdf && ctx.provider.capabilities.nativePdf;
+        const nativeDocuments = sendPdfsNatively ? otherFiles.filter(isPdfFile) : [];
+        const inlineFiles = otherFiles.filter(f => !nativeDocuments.includes(f));
+
+        // Append the user's text and any text or extracted document content
+        let userContent = ctx.message;
+        const spreadsheetRange = parseSpreadsheetRange(ctx.message);
+        const attachmentsText = await buildAttachmentsText(inlineFiles, nativeDocuments, { spreadsheetRange });
+        if (attachmentsText) {
+            userContent += userContent ? '\n\n' : '';
+            userContent += attachmentsText;
+        }
+
+        // Follow-ups like "sheet 2, rows 100-200" refer to the session's latest spreadsheet or CSV
+        if (spreadsheetRange && !inlineFiles.some(isTabularFile)) {
+            const latest = [...earlierFiles].reverse().find(isTabularFile);
+            const [spreadsheet] = latest ? await localizeFiles([latest], fileStorage) : [];
+            if (spreadsheet) {
+                const rangeText = await extractDocumentText(
+                    { ...spreadsheet, originalname: spreadsheet.originalName },
+                    { spreadsheetRange }
+                );
+                if (rangeText) {
+                    console.log(`📊 Added requested range of ${spreadsheet.originalName} to the message`);
+                    userContent += `\n\n${rangeText}`;
+                }
+            }
+        }
+
+        // Ensure we have valid user content if no message but files are present
+        if (!userContent) {
+            userContent = imageFiles.length > 0
+                ? "Please analyze these images and provide insights:"
+                : "Please analyze the attached files.";
+        }
+        ctx.userContent = userContent;
+        // Library file ids of the images, saved with the turn so later turns can attach them again
+        ctx.imageFileIds = imageFiles.map(file => file.filename).filter(Boolean);
+
+        let userMessage = { role: "user", content: userContent };
+
+        // Attach images in the provider's format
+        if (imageFiles.length > 0) {
+            console.log(`Processing ${imageFiles.length} images for ${ctx.provider.name} model: ${ctx.model}`);
+
+            if (!ctx.provider.capabilities.vision) {
+                throw chatError(400, `Model ${ctx.model} does not support image attachments.`);
+            }
+
+            // Providers return one part per image not yet sent with the chat, with null for images that failed
+            let imageContents;
+            let failedImages;
+            try {
+                const formatted = await ctx.provider.formatImages(imageFiles, ctx.sentImageHashes);
+                imageContents = formatted.filter(item => item !== null);
+                failedImages = formatted.length - imageContents.length;
+            } catch (imgProcessError) {
+                console.error("Error processing images:", imgProcessError);
+                throw chatError(500, "Error processing images: " + imgProcessError.message);
+            }
+
+            console.log(`Valid ${ctx.provider.name} image contents: ${imageContents.length}`);
+
+            // Nothing to attach is only an error when no image was sent with the chat either
+            if (failedImages > 0 || (imageContents.length === 0 && ctx.sentImageHashes.size === 0)) {
+                console.error(`❌ Failed to process ${failedImages || imageFiles.length} images for ${ctx.provider.name}`);
+                throw chatError(422, `Failed to process image attachments for ${ctx.provider.name}`);
+            }
+
+            if (imageContents.length > 0) {
+                userMessage = {
+                    role: "user",
+                    content: [
+                        { type: "text", text: userContent },
+                        ...imageContents
+                    ]
+                };
+            }
+        }
+
+        // Attach PDFs in the provider's native document format
+        if (nativeDocuments.length > 0) {
+            console.log(`Attaching ${nativeDocuments.length} PDFs natively for ${ctx.provider.name}`);
+
+            let documentContents;
+            try {
+                documentContents = (await ctx.provider.formatDocuments(nativeDocuments)).filter(item => item !== null);
+            } catch (docProcessError) {
+                console.error("Error processing documents:", docProcessError);
+                throw chatError(500, "Error processing documents: " + docProcessError.message);
+            }
+
+            if (documentContents.length < nativeDocuments.length) {
+                console.error(`❌ Failed to attach ${nativeDocuments.length - documentContents.length} PDFs for ${ctx.provider.name}`);
+                throw chatError(422, `Failed to process PDF attachments for ${ctx.provider.name}`);
+            }
+
+            const existingContent = Array.isArray(userMessage.content)
+                ? userMessage.content
+                : [{ type: "text", text: userContent }];
+            userMessage = { role: "user", content: [...existingContent, ...documentContents] };
+        }
+
+        // This turn's images are prepared first, so earlier turns leave out the ones it sends again
+        const history = await attachHistoryImages(ctx, earlierFiles);
+        ctx.messages = [{ role: "system", content: SYSTEM_PROMPT }, ...history, userMessage];
+    }
+
+    // Trim the oldest history so the request fits the model's context window
+    function fitContext(ctx) {
+        const budget = getContextBudget(ctx.model);
+        const result = fitMessagesToBudget(ctx.messages, budget);
+
+        if (!result.fits) {
+            throw chatError(413, `Your message and attachments are too large for ${ctx.model} (about ${result.estimatedTokens} tokens, limit ${result.inputBudget}). Please shorten the message or attach fewer files.`);
+        }
+
+        if (result.droppedMessages > 0) {
+            console.log(`✂️ Dropped ${result.droppedMessages} messages (~${result.droppedTokens} tokens) to fit ${ctx.model}'s ${budget.contextWindow} token context`);
+            ctx.contextTrim = {
+                droppedMessages: result.droppedMessages,
+                droppedTokens: result.droppedTokens,
+                estimatedTokens: result.estimatedTokens,
+                contextWindow: budget.contextWindow
+            };
+        }
+
+        ctx.messages = result.messages;
+    }
+
+    // Record the exchange in the conversation store and its usage in the ledger
+    async function persist(ctx, reply, details = {}) {
+        // Reasoning (e.g. Deepseek R1) is stored with the chat but never sent back as history
+        const assistantMessage = { role: "assistant", content: reply };
+        if (details.reasoning) {
+            assistantMessage.reasoning = details.reasoning;
+        }
+        const userMessage = { role: "user", content: ctx.userContent };
+        if (ctx.imageFileIds.length > 0) {
+            userMessage.images = ctx.imageFileIds;
+        }
+
+        try {
+            await conversationStore.appendExchange(ctx.sessionId, ctx.user.id, {
+                user: userMessage,
+                assistant: assistantMessage,
+                model: ctx.model
+            });
+        } catch (err) {
+            console.error("Error saving chat to database:", err);
+        }
+
+        await usageLedger.recordUsage({
+            userId: ctx.user.id,
+            chatId: ctx.sessionId,
+            provider: ctx.provider.id,
+            model: ctx.model,
+            usage: details.usage
+        });
+    }
+
+    // Run the full pipeline with the given output adapter
+    async function run(req, res, adapter) {
+        let ctx = null;
+        try {
+            ctx = parseRequest(req);
+            // requireAuth has verified the token and loaded the user's entitlements
+            ctx.user = req.user;
+            ctx.entitlements = req.entitlements;
+            await authorize(ctx);
+            await rateLimit(ctx);
+            await buildContext(ctx);
+            fitContext(ctx);
+
+            console.log(`Calling ${ctx.provider.name} (${adapter.name}) with message count:`, ctx.messages.length);
+            await adapter.dispatch(res, ctx, (reply, details) => persist(ctx, reply, details));
+        } catch (error) {
+            // Uploads are staged until buildContext stores them (which sets
+            // storageKey), so a rejected request leaves nothing behind
+            await fileRetention.discardUploads((req.files || []).filter(file => !file.storageKey));
+
+            // Streaming services report their own errors before rethrowing
+            if (res.writableEnded) {
+                console.error(`${ctx?.provider?.name || 'Chat'} API Error:`, error);
+                return;
+            }
+
+            if (error.status) {
+                if (error.retryAfter && !res.headersSent) {
+                    res.set('Retry-After', String(error.retryAfter));
+                }
+                return adapter.fail(res, error.status, error.message, error.details);
+            }
+
+            console.error("❌ Chat pipeline error:", error);
+            const message = ctx?.provider
+                ? `${ctx.model} API error: ${error.message}`
+                : "Internal server error";
+            return adapter.fail(res, 500, message);
+        }
+    }
+
+    return {
+        handleChat: (req, res) => run(req, res, jsonAdapter),
+        handleChatStream: (req, res) => run(req, res, sseAdapter)
+    };
+}
@@ -1,4 +1,7 @@
 import config from './config/env.js';
+import { registerProvider } from './providerRegistry.js';
+import { prepareImagesForModel, prepareDocumentsForModel } from './fileUtils.js';
+import { fromClaudeUsage } from './tokenUsage.js';
 
 // Get API key from config
 const CLAUDE_API_KEY = config.claude.apiKey;
@@ -49,6 +52,10 @@ function formatMessagesForClaude(messages) {
               text: contentPart.text
             });
           }
+          // Native PDF documents are already in Claude format
+          else if (contentPart.type === "document" && contentPart.source) {
+            formattedContent.push(contentPart);
+          }
           // Handle image content
           else if (contentPart.type === "image" || contentPart.type === "image_url") {
             // Image is already in Claude format
@@ -119,7 +126,7 @@ function getClaudeModelName(modelName) {
  * 
  * @param {Array} messages - Array of conversation messages (OpenAI format)
  * @param {string} model - The Claude model to use
- * @returns {Promise<string>} - Response text from Claude
+ * @returns {Promise<Object>} - { text, usage } with the response text and token usage
  */
 export async function generateClaudeResponse(messages, model) {
   const claudeModel = getClaudeModelName(model);
@@ -185,8 +192,11 @@ export async function generateClaudeResponse(messages, model) {
     // Parse the response
     const data = await response.json();
     
-    // Return the generated content
-    return data.content[0].text;
+    // Return the generated content and its token usage
+    return {
+      text: data.content[0].text,
+      usage: fromClaudeUsage(data.usage, data.model || claudeModel)
+    };
   } catch (error) {
     console.error("Claude API Error:", error);
     throw error;
@@ -199,7 +209,7 @@ export async function generateClaudeResponse(messages, model) {
  * @param {object} res - Express response object for SSE
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The Claude model to use
- * @param {Function} onComplete - Callback function to execute when streaming is complete
+ * @param {Function} onComplete - Callback receiving the complete response and { usage }
  */
 export async function generateClaudeStreamingResponse(res, messages, model, onComplete) {
   const claudeModel = getClaudeModelName(model);
@@ -266,16 +276,19 @@ export async function generateClaudeStreamingResponse(res, messages, model, onCo
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let completeResponse = '';
+    let buffer = '';
+    let usage = null;
     
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
       
-      // Decode the chunk
-      const chunk = decoder.decode(value, { stream: true });
+      // Events can be split across network chunks, so keep the trailing partial line
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
       
       // Claude API returns SSE data chunks
-      const lines = chunk.split('\n');
       for (const line of lines) {
         if (line.startsWith('data: ')) {
           try {
@@ -291,6 +304,13 @@ export async function generateClaudeStreamingResponse(res, messages, model, onCo
               res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
               completeResponse += content;
             }
+            
+            // message_start carries the input usage; message_delta the final output token count
+            if (data.type === 'message_start' && data.message) {
+              usage = fromClaudeUsage(data.message.usage, data.message.model || claudeModel);
+            } else if (data.type === 'message_delta' && data.usage && usage) {
+              usage.outputTokens = data.usage.output_tokens ?? usage.outputTokens;
+            }
           } catch (e) {
             console.error('Error parsing Claude stream data:', e, line);
           }
@@ -302,9 +322,9 @@ export async function generateClaudeStreamingResponse(res, messages, model, onCo
     res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
     res.end();
     
-    // Execute callback with the complete response
+    // Execute callback with the complete response and its token usage
     if (typeof onComplete === 'function') {
-      await onComplete(completeResponse);
+      await onComplete(completeResponse, { usage });
     }
     
     return completeResponse;
@@ -328,12 +348,29 @@ export async function testClaudeConnection() {
   
   try {
     // Use a simple test request
-    const response = await generateClaudeResponse([
+    const { text } = await generateClaudeResponse([
       { role: "user", content: "Say hello!" }
     ], "claude-3-5-sonnet");
     
-    return { success: true, response };
+    return { success: true, response: text };
   } catch (error) {
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// Register Claude with the provider registry
+registerProvider({
+  id: 'claude',
+  name: 'Anthropic Claude',
+  generate: generateClaudeResponse,
+  stream: generateClaudeStreamingResponse,
+  formatImages: (files, sentHashes) => prepareImagesForModel(files, 'claude', sentHashes),
+  formatDocuments: (files) => prepareDocumentsForModel(files, 'claude'),
+  isConfigured: isClaudeConfigured,
+  // Accept both the short aliases and the dated model identifiers
+  listModels: () => [...new Set([...Object.keys(CLAUDE_MODEL_MAPPING), ...Object.values(CLAUDE_MODEL_MAPPING)])],
+  capabilities: { vision: true, streaming: true, nativePdf: true },
+  // Every Claude 3 model has a 200K token context window
+  defaultContextWindow: 200000,
+  maxOutputTokens: 4000
+});
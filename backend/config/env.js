@@ -14,11 +14,35 @@ function requireEnv(key) {
   return value;
 }
 
+// Token bucket for a rate limit: burst size and sustained requests per minute
+function rateLimitBucket(prefix, capacity, refillPerMinute) {
+  return {
+    capacity: parseInt(process.env[`${prefix}_BURST`] || String(capacity), 10),
+    refillPerMinute: parseInt(process.env[`${prefix}_PER_MINUTE`] || String(refillPerMinute), 10),
+  };
+}
+
+// Upload limits per chat request: file count, size of each file and of all files together
+function uploadLimits(prefix, maxFiles, maxFileMb, maxTotalMb) {
+  return {
+    maxFiles: parseInt(process.env[`${prefix}_MAX_FILES`] || String(maxFiles), 10),
+    maxFileMb: parseInt(process.env[`${prefix}_MAX_FILE_MB`] || String(maxFileMb), 10),
+    maxTotalMb: parseInt(process.env[`${prefix}_MAX_TOTAL_MB`] || String(maxTotalMb), 10),
+  };
+}
+
 // Configuration object with all environment variables
 const config = {
   // Server config
   port: process.env.PORT || 5050,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Proxy hops to trust for the client IP (Vercel puts one proxy in front of the app)
+  trustProxy: parseInt(process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '0'), 10),
+  
+  // Debugging routes (provider test calls); never enable in production
+  debug: {
+    routes: process.env.ENABLE_DEBUG_ROUTES === 'true',
+  },
   
   // API Keys
   openai: {
@@ -49,17 +73,106 @@ const config = {
     }
   },
   
+  // Document handling
+  documents: {
+    // Send PDFs to Claude and Gemini as native documents instead of extracted text
+    nativePdf: process.env.NATIVE_PDF === 'true',
+  },
+  
+  // Plans a user can hold. Each sets the models it includes ("*" matches any
+  // characters), chat and message quotas (null for unlimited), upload and
+  // storage limits, and the user's rate limit bucket.
+  plans: {
+    free: {
+      name: 'Free',
+      models: ['gpt-3.5-turbo', 'gemini-*', 'deepseek', 'deepseek-chat'],
+      maxChats: 3,
+      maxMessagesPerChat: 20,
+      uploads: uploadLimits('UPLOAD', 10, 10, 25),
+      storageQuotaMb: parseInt(process.env.STORAGE_FREE_QUOTA_MB || '50', 10),
+      rateLimit: rateLimitBucket('RATE_LIMIT_FREE', 5, 5),
+    },
+    pro: {
+      name: 'Pro',
+      models: ['*'],
+      maxChats: null,
+      maxMessagesPerChat: null,
+      uploads: uploadLimits('UPLOAD', 10, 10, 25),
+      storageQuotaMb: parseInt(process.env.STORAGE_PREMIUM_QUOTA_MB || '1024', 10),
+      rateLimit: rateLimitBucket('RATE_LIMIT_PREMIUM', 20, 20),
+    },
+    team: {
+      name: 'Team',
+      models: ['*'],
+      maxChats: null,
+      maxMessagesPerChat: null,
+      uploads: uploadLimits('TEAM_UPLOAD', 20, 25, 100),
+      storageQuotaMb: parseInt(process.env.STORAGE_TEAM_QUOTA_MB || '5120', 10),
+      rateLimit: rateLimitBucket('RATE_LIMIT_TEAM', 40, 40),
+    },
+  },
+  // Plan for users without a subscription, and for subscribers whose plan isn't recorded
+  defaultPlan: 'free',
+  defaultPaidPlan: process.env.DEFAULT_PAID_PLAN || 'pro',
+  
+  // Chat rate limits, as token buckets per IP, per user (sized by their plan) and per user and model family
+  rateLimits: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    ip: rateLimitBucket('RATE_LIMIT_IP', 30, 30),
+    // Applied on top of the tier limit for the most expensive models
+    modelFamilies: {
+      'gpt-4': rateLimitBucket('RATE_LIMIT_GPT4', 10, 10),
+      'claude': rateLimitBucket('RATE_LIMIT_CLAUDE', 10, 10),
+      'grok': rateLimitBucket('RATE_LIMIT_GROK', 10, 10),
+      'deepseek-r1': rateLimitBucket('RATE_LIMIT_DEEPSEEK_R1', 5, 3),
+    },
+  },
+  
+  // Upload storage
+  storage: {
+    // "local" keeps uploads in backend/uploads, "supabase" uses Supabase Storage
+    driver: process.env.STORAGE_DRIVER || 'local',
+    bucket: process.env.SUPABASE_STORAGE_BUCKET || 'uploads',
+    // Signs download URLs for the local driver
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || '',
+    // How long uploads are kept (storage quotas are set per plan)
+    retentionDays: parseInt(process.env.UPLOAD_RETENTION_DAYS || '30', 10),
+    cleanupIntervalMinutes: parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MINUTES || '60', 10),
+  },
+  
   // Supabase config
   supabase: {
     url: requireEnv('SUPABASE_URL'),
     serviceKey: requireEnv('SUPABASE_SERVICE_ROLE_KEY'),
+    // Optional: verify access tokens locally instead of asking Supabase on every request
+    jwtSecret: process.env.SUPABASE_JWT_SECRET || '',
+    jwksUrl: process.env.SUPABASE_JWKS_URL || '',
   },
   
   // Stripe config
   stripe: {
     secretKey: requireEnv('STRIPE_SECRET_KEY'),
     webhookSecret: requireEnv('STRIPE_WEBHOOK_SECRET'),
-    priceId: requireEnv('STRIPE_PRICE_ID'),
+    // Price ids for each paid plan and billing interval; leave one unset to not sell it.
+    // STRIPE_PRICE_ID is the older single monthly price, used for Pro.
+    prices: {
+      pro: {
+        month: process.env.STRIPE_PRICE_PRO_MONTHLY || process.env.STRIPE_PRICE_ID || '',
+        year: process.env.STRIPE_PRICE_PRO_ANNUAL || '',
+      },
+      team: {
+        month: process.env.STRIPE_PRICE_TEAM_MONTHLY || '',
+        year: process.env.STRIPE_PRICE_TEAM_ANNUAL || '',
+      },
+    },
+    // Free trial for new subscriptions (0 for none)
+    trialDays: parseInt(process.env.STRIPE_TRIAL_DAYS || '0', 10),
+    // Let customers enter promotion codes at checkout
+    allowPromotionCodes: process.env.STRIPE_ALLOW_PROMOTION_CODES !== 'false',
+    // Billing Portal configuration to use (blank for the account's default)
+    portalConfigurationId: process.env.STRIPE_PORTAL_CONFIGURATION_ID || '',
+    // Invoices listed in the account panel
+    recentInvoices: parseInt(process.env.STRIPE_RECENT_INVOICES || '10', 10),
   }
 };
 
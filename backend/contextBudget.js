@@ -0,0 +1,120 @@
+// Rough characters-per-token ratio for English text across providers
+const CHARS_PER_TOKEN = 4;
+
+// Flat estimate for an attached image (providers bill images by tile, roughly this much)
+const TOKENS_PER_IMAGE = 1000;
+
+// Flat estimate for a natively attached document such as a PDF
+const TOKENS_PER_DOCUMENT = 5000;
+
+// Per-message overhead for role markers and formatting
+const TOKENS_PER_MESSAGE = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ *
+ * @param {string} text - Text to estimate
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the number of tokens in a message's content
+ *
+ * @param {string|Array} content - Plain text or an array of content parts
+ * @returns {number} Estimated token count
+ */
+export function estimateContentTokens(content) {
+    if (typeof content === 'string') return estimateTextTokens(content);
+    if (!Array.isArray(content)) return 0;
+
+    return content.reduce((total, part) => {
+        if (!part) return total;
+        if (part.type === "text") return total + estimateTextTokens(part.text);
+        if (part.type === "document" || part.inlineData?.mimeType === 'application/pdf') return total + TOKENS_PER_DOCUMENT;
+        if (part.type === "image_url" || part.type === "image" || part.inlineData) return total + TOKENS_PER_IMAGE;
+        return total;
+    }, 0);
+}
+
+/**
+ * Estimate the number of tokens in a list of messages
+ *
+ * @param {Array} messages - Messages in OpenAI-like format
+ * @returns {number} Estimated token count
+ */
+export function estimateMessagesTokens(messages) {
+    return (messages || []).reduce(
+        (total, msg) => total + TOKENS_PER_MESSAGE + estimateContentTokens(msg.content),
+        0
+    );
+}
+
+/**
+ * Trim the oldest conversation turns so the messages fit a context window.
+ *
+ * System messages and the latest message are always kept. Older turns are
+ * dropped oldest first, and a note in the system prompt tells the model that
+ * earlier history was left out.
+ *
+ * @param {Array} messages - Messages in OpenAI-like format
+ * @param {Object} budget - Context budget for the model
+ * @param {number} budget.contextWindow - Total tokens the model accepts
+ * @param {number} budget.maxOutputTokens - Tokens reserved for the reply
+ * @returns {Object} { messages, fits, droppedMessages, droppedTokens, estimatedTokens, inputBudget }
+ */
+export function fitMessagesToBudget(messages, { contextWindow, maxOutputTokens = 0 }) {
+    const inputBudget = Math.max(0, contextWindow - maxOutputTokens);
+    const systemMessages = messages.filter(msg => msg.role === "system");
+    const turns = messages.filter(msg => msg.role !== "system");
+    const latest = turns.pop();
+
+    const fixedTokens = estimateMessagesTokens([...systemMessages, latest].filter(Boolean));
+    let estimatedTokens = fixedTokens + estimateMessagesTokens(turns);
+
+    if (estimatedTokens <= inputBudget) {
+        return { messages, fits: true, droppedMessages: 0, droppedTokens: 0, estimatedTokens, inputBudget };
+    }
+
+    // Drop oldest turns until the rest fits (leaving room for the omission note)
+    const noteTokens = TOKENS_PER_MESSAGE + 20;
+    let droppedMessages = 0;
+    let droppedTokens = 0;
+
+    while (turns.length > 0 && estimatedTokens + noteTokens > inputBudget) {
+        const dropped = turns.shift();
+        const tokens = TOKENS_PER_MESSAGE + estimateContentTokens(dropped.content);
+        estimatedTokens -= tokens;
+        droppedTokens += tokens;
+        droppedMessages++;
+    }
+
+    // Keep history starting on a user turn so providers see alternating roles
+    while (turns.length > 0 && turns[0].role !== "user") {
+        const dropped = turns.shift();
+        const tokens = TOKENS_PER_MESSAGE + estimateContentTokens(dropped.content);
+        estimatedTokens -= tokens;
+        droppedTokens += tokens;
+        droppedMessages++;
+    }
+
+    // Append the note to the first system message (some providers only read one)
+    const note = `Note: ${droppedMessages} earlier message${droppedMessages === 1 ? '' : 's'} in this conversation were omitted to fit the context window.`;
+    const [firstSystem, ...otherSystem] = systemMessages;
+    const notedSystem = firstSystem && typeof firstSystem.content === 'string'
+        ? [{ ...firstSystem, content: `${firstSystem.content}\n\n${note}` }, ...otherSystem]
+        : [{ role: "system", content: note }, ...systemMessages];
+    estimatedTokens += noteTokens;
+
+    return {
+        messages: [...notedSystem, ...turns, latest].filter(Boolean),
+        fits: estimatedTokens <= inputBudget,
+        droppedMessages,
+        droppedTokens,
+        estimatedTokens,
+        inputBudget
+    };
+}
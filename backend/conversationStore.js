@@ -0,0 +1,443 @@
+/**
+ * Conversation stores keep chat history, the selected model and uploaded
+ * files for each session. Every store implements the same async interface:
+ *
+ *   getChat(sessionId, userId)        → { messages, messageCount } | null
+ *   countChats(userId)                → number
+ *   getHistory(sessionId, userId, chat?) → [{ role, content, images? }] safe to send to a model
+ *                                       once images is replaced (pass the row from getChat
+ *                                       to skip reloading it)
+ *   appendExchange(sessionId, userId, { user, assistant, model })
+ *   getSelectedModel(sessionId)       → string | null
+ *   setSelectedModel(sessionId, model)
+ *   getFiles(sessionId, userId)       → Array of file info (the chat's file library)
+ *   addFiles(sessionId, userId, files)
+ *   updateFile(sessionId, userId, fileId, changes) → updated file info | null
+ *   removeFile(sessionId, userId, fileId)          → removed file info | null
+ *   getStorageUsage(userId)           → bytes used by the user's files
+ *   listFilesUploadedBefore(date)     → [file info with sessionId] across all chats
+ *   getStorageReport()                → [{ userId, files, bytes }]
+ *   deleteSession(sessionId, userId)
+ */
+
+/**
+ * Convert a stored chat message into one that can be sent back to a model
+ * (drops extra fields such as reasoning and the model name). User turns keep
+ * the library file ids of the images sent with them, for the chat pipeline
+ * to attach again.
+ *
+ * @param {Object} message - Message as stored in the chats table
+ * @returns {Object|null} { role, content, images? } or null if not a conversation turn
+ */
+function toHistoryMessage(message) {
+    if (!message || (message.role !== "user" && message.role !== "assistant")) return null;
+    if (typeof message.content !== 'string' || !message.content) return null;
+    const historyMessage = { role: message.role, content: message.content };
+    if (message.role === "user" && Array.isArray(message.images) && message.images.length > 0) {
+        historyMessage.images = message.images.filter(id => typeof id === 'string');
+    }
+    return historyMessage;
+}
+
+/**
+ * Find the model used for the most recent assistant reply
+ *
+ * @param {Array} messages - Messages as stored in the chats table
+ * @returns {string|null} Model id, or null if none recorded
+ */
+function lastModelUsed(messages) {
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i]?.role === "assistant" && messages[i].model) {
+            return messages[i].model;
+        }
+    }
+    return null;
+}
+
+// File info fields that can be changed after upload
+const MUTABLE_FILE_FIELDS = ['pinned'];
+
+/**
+ * Apply allowed changes to a library file
+ *
+ * @param {Object} file - File info
+ * @param {Object} changes - Requested changes (unknown fields are ignored)
+ * @returns {Object} Updated file info
+ */
+function applyFileChanges(file, changes) {
+    const updated = { ...file };
+    for (const field of MUTABLE_FILE_FIELDS) {
+        if (changes[field] !== undefined) updated[field] = changes[field];
+    }
+    return updated;
+}
+
+/**
+ * Sum stored files per user
+ *
+ * @param {Array} files - File info with userId and size
+ * @returns {Array} [{ userId, files, bytes }], largest first
+ */
+function summarizeStorage(files) {
+    const usage = new Map();
+    for (const file of files) {
+        const entry = usage.get(file.userId) || { userId: file.userId, files: 0, bytes: 0 };
+        entry.files++;
+        entry.bytes += file.size || 0;
+        usage.set(file.userId, entry);
+    }
+    return [...usage.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+/**
+ * Create a conversation store that keeps everything in process memory.
+ * Used by tests and local development without Supabase.
+ *
+ * @returns {Object} Conversation store
+ */
+export function createMemoryConversationStore() {
+    // sessionId → { userId, messages, messageCount, model, files }
+    const sessions = new Map();
+
+    function getSession(sessionId) {
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, { userId: null, messages: [], messageCount: 0, model: null, files: [] });
+        }
+        return sessions.get(sessionId);
+    }
+
+    return {
+        async getChat(sessionId, userId) {
+            const session = sessions.get(sessionId);
+            if (!session || session.userId !== userId || session.messageCount === 0) return null;
+            return { messages: [...session.messages], messageCount: session.messageCount };
+        },
+
+        async countChats(userId) {
+            let count = 0;
+            for (const session of sessions.values()) {
+                if (session.userId === userId && session.messageCount > 0) count++;
+            }
+            return count;
+        },
+
+        async getHistory(sessionId, userId, chat) {
+            if (chat === undefined) chat = await this.getChat(sessionId, userId);
+            return chat ? chat.messages.map(toHistoryMessage).filter(Boolean) : [];
+        },
+
+        async appendExchange(sessionId, userId, { user, assistant, model }) {
+            const session = getSession(sessionId);
+            session.userId = userId;
+            session.messages.push(user, model ? { ...assistant, model } : assistant);
+            session.messageCount++;
+            if (model) session.model = model;
+        },
+
+        async getSelectedModel(sessionId) {
+            return sessions.get(sessionId)?.model || null;
+        },
+
+        async setSelectedModel(sessionId, model) {
+            getSession(sessionId).model = model;
+        },
+
+        async getFiles(sessionId, userId) {
+            return (sessions.get(sessionId)?.files || []).filter(file => file.userId === userId);
+        },
+
+        async addFiles(sessionId, userId, files) {
+            getSession(sessionId).files.push(...files.map(file => ({ ...file, userId })));
+        },
+
+        async updateFile(sessionId, userId, fileId, changes) {
+            const files = sessions.get(sessionId)?.files || [];
+            const index = files.findIndex(file => file.id === fileId && file.userId === userId);
+            if (index === -1) return null;
+            files[index] = applyFileChanges(files[index], changes);
+            return files[index];
+        },
+
+        async removeFile(sessionId, userId, fileId) {
+            const files = sessions.get(sessionId)?.files || [];
+            const index = files.findIndex(file => file.id === fileId && file.userId === userId);
+            if (index === -1) return null;
+            return files.splice(index, 1)[0];
+        },
+
+        async getStorageUsage(userId) {
+            let bytes = 0;
+            for (const session of sessions.values()) {
+                for (const file of session.files) {
+                    if (file.userId === userId) bytes += file.size || 0;
+                }
+            }
+            return bytes;
+        },
+
+        async listFilesUploadedBefore(date) {
+            const expired = [];
+            for (const [sessionId, session] of sessions) {
+                for (const file of session.files) {
+                    if (new Date(file.uploadedAt) < date) expired.push({ ...file, sessionId });
+                }
+            }
+            return expired;
+        },
+
+        async getStorageReport() {
+            return summarizeStorage([...sessions.values()].flatMap(session => session.files));
+        },
+
+        async deleteSession(sessionId, userId) {
+            const session = sessions.get(sessionId);
+            if (session && (!session.userId || session.userId === userId)) {
+                sessions.delete(sessionId);
+            }
+        }
+    };
+}
+
+// Sessions whose selected model the Supabase store remembers; the oldest are dropped first
+const MAX_CACHED_SESSIONS = 1000;
+
+/**
+ * Create a conversation store backed by the Supabase `chats` table.
+ *
+ * History is rebuilt from `chats.messages` on every request, so a cold
+ * start or another serverless instance that appended to the chat never
+ * leaves this one with a stale conversation. Only the selected model is
+ * cached in memory (for a bounded number of sessions); it's recovered from
+ * the last assistant message when not cached.
+ *
+ * Each chat's file library is kept in the `chat_files` table (id, chat_id,
+ * user_id, original_name, mimetype, size, path, storage_key, pinned,
+ * uploaded_at) and read from it on every request, so uploads, pins and
+ * deletions made on another instance are seen straight away.
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @returns {Object} Conversation store
+ */
+export function createSupabaseConversationStore(supabase) {
+    // sessionId → { model }, in insertion order so the oldest can be evicted
+    const cache = new Map();
+
+    function getCached(sessionId) {
+        if (!cache.has(sessionId)) {
+            cache.set(sessionId, { model: null });
+            if (cache.size > MAX_CACHED_SESSIONS) {
+                cache.delete(cache.keys().next().value);
+            }
+        }
+        return cache.get(sessionId);
+    }
+
+    function toFileRow(sessionId, userId, file) {
+        return {
+            id: file.id,
+            chat_id: sessionId,
+            user_id: userId,
+            original_name: file.originalName,
+            mimetype: file.mimetype,
+            size: file.size,
+            path: file.path,
+            storage_key: file.storageKey || null,
+            pinned: !!file.pinned,
+            uploaded_at: file.uploadedAt
+        };
+    }
+
+    function fromFileRow(row) {
+        return {
+            id: row.id,
+            filename: row.id,
+            originalName: row.original_name,
+            mimetype: row.mimetype,
+            size: row.size,
+            path: row.path,
+            storageKey: row.storage_key || null,
+            pinned: !!row.pinned,
+            uploadedAt: row.uploaded_at,
+            userId: row.user_id
+        };
+    }
+
+    // Load a user's files in a chat's library
+    async function loadFiles(sessionId, userId) {
+        const { data, error } = await supabase
+            .from('chat_files')
+            .select('*')
+            .eq('chat_id', sessionId)
+            .eq('user_id', userId)
+            .order('uploaded_at', { ascending: true });
+
+        if (error) {
+            console.error("Error loading chat files:", error);
+            throw new Error("Failed to load chat files: " + error.message);
+        }
+
+        return (data || []).map(fromFileRow);
+    }
+
+    return {
+        async getChat(sessionId, userId) {
+            const { data: chat, error } = await supabase
+                .from('chats')
+                .select('messages, message_count')
+                .eq('id', sessionId)
+                .eq('user_id', userId)
+                .maybeSingle();
+
+            if (error) {
+                console.error("Error loading chat:", error);
+                throw new Error("Failed to load chat: " + error.message);
+            }
+
+            if (!chat) return null;
+            return {
+                messages: Array.isArray(chat.messages) ? chat.messages : [],
+                messageCount: chat.message_count || 0
+            };
+        },
+
+        async countChats(userId) {
+            const { count, error } = await supabase
+                .from('chats')
+                .select('*', { count: 'exact', head: true })
+                .eq('user_id', userId);
+
+            if (error) {
+                console.error("Error counting chats:", error);
+                throw new Error("Failed to count chats: " + error.message);
+            }
+
+            return count || 0;
+        },
+
+        async getHistory(sessionId, userId, chat) {
+            if (chat === undefined) chat = await this.getChat(sessionId, userId);
+            if (!chat) return [];
+
+            const cached = getCached(sessionId);
+            cached.model = cached.model || lastModelUsed(chat.messages);
+            return chat.messages.map(toHistoryMessage).filter(Boolean);
+        },
+
+        async appendExchange(sessionId, userId, { user, assistant, model }) {
+            const chat = await this.getChat(sessionId, userId);
+            const storedAssistant = model ? { ...assistant, model } : assistant;
+
+            if (!chat) {
+                const { error } = await supabase.from('chats').insert({
+                    id: sessionId,
+                    user_id: userId,
+                    messages: [user, storedAssistant],
+                    message_count: 1
+                });
+                if (error) throw new Error("Failed to save chat: " + error.message);
+            } else {
+                const { error } = await supabase.from('chats').update({
+                    messages: [...chat.messages, user, storedAssistant],
+                    message_count: chat.messageCount + 1
+                }).eq('id', sessionId).eq('user_id', userId);
+                if (error) throw new Error("Failed to save chat: " + error.message);
+            }
+
+            if (model) getCached(sessionId).model = model;
+        },
+
+        async getSelectedModel(sessionId) {
+            return cache.get(sessionId)?.model || null;
+        },
+
+        async setSelectedModel(sessionId, model) {
+            getCached(sessionId).model = model;
+        },
+
+        async getFiles(sessionId, userId) {
+            return loadFiles(sessionId, userId);
+        },
+
+        async addFiles(sessionId, userId, files) {
+            // The upload itself already succeeded and this turn still uses the files,
+            // so a failed insert only keeps them out of the library for later turns
+            const { error } = await supabase.from('chat_files').insert(files.map(file => toFileRow(sessionId, userId, file)));
+            if (error) {
+                console.error("Error saving chat files:", error);
+            }
+        },
+
+        async updateFile(sessionId, userId, fileId, changes) {
+            // Only the allowed fields are written (see MUTABLE_FILE_FIELDS)
+            const update = applyFileChanges({}, changes);
+            if (update.pinned !== undefined) update.pinned = !!update.pinned;
+            const { data, error } = await supabase
+                .from('chat_files')
+                .update(update)
+                .eq('id', fileId)
+                .eq('chat_id', sessionId)
+                .eq('user_id', userId)
+                .select('*');
+            if (error) throw new Error("Failed to update file: " + error.message);
+
+            return data?.length ? fromFileRow(data[0]) : null;
+        },
+
+        async removeFile(sessionId, userId, fileId) {
+            const { data, error } = await supabase
+                .from('chat_files')
+                .delete()
+                .eq('id', fileId)
+                .eq('chat_id', sessionId)
+                .eq('user_id', userId)
+                .select('*');
+            if (error) throw new Error("Failed to delete file: " + error.message);
+
+            return data?.length ? fromFileRow(data[0]) : null;
+        },
+
+        async getStorageUsage(userId) {
+            const { data, error } = await supabase.from('chat_files').select('size').eq('user_id', userId);
+            if (error) {
+                console.error("Error loading storage usage:", error);
+                throw new Error("Failed to load storage usage: " + error.message);
+            }
+            return (data || []).reduce((total, row) => total + (row.size || 0), 0);
+        },
+
+        async listFilesUploadedBefore(date) {
+            const { data, error } = await supabase
+                .from('chat_files')
+                .select('*')
+                .lt('uploaded_at', date.toISOString());
+            if (error) {
+                console.error("Error listing expired files:", error);
+                throw new Error("Failed to list expired files: " + error.message);
+            }
+            return (data || []).map(row => ({ ...fromFileRow(row), sessionId: row.chat_id }));
+        },
+
+        async getStorageReport() {
+            const { data, error } = await supabase.from('chat_files').select('user_id, size');
+            if (error) {
+                console.error("Error loading storage report:", error);
+                throw new Error("Failed to load storage report: " + error.message);
+            }
+            return summarizeStorage((data || []).map(row => ({ userId: row.user_id, size: row.size })));
+        },
+
+        async deleteSession(sessionId, userId) {
+            const { error } = await supabase.from('chats').delete().eq('id', sessionId).eq('user_id', userId);
+            if (error) {
+                console.error("Error deleting chat:", error);
+                throw new Error("Failed to delete chat: " + error.message);
+            }
+
+            const { error: filesError } = await supabase.from('chat_files').delete().eq('chat_id', sessionId).eq('user_id', userId);
+            if (filesError) {
+                console.error("Error deleting chat files:", filesError);
+            }
+            cache.delete(sessionId);
+        }
+    };
+}
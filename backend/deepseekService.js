@@ -1,4 +1,6 @@
 import config from './config/env.js';
+import { registerProvider } from './providerRegistry.js';
+import { fromOpenAIUsage } from './tokenUsage.js';
 
 // Get API key from config
 const DEEPSEEK_API_KEY = config.deepseek.apiKey;
@@ -34,7 +36,7 @@ function getDeepseekModelName(modelName) {
  * 
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The Deepseek model to use
- * @returns {Promise<string>} - Response text from Deepseek
+ * @returns {Promise<Object>} - { text, usage, reasoning } with the response text, token usage and reasoning (R1 only)
  */
 export async function generateDeepseekResponse(messages, model) {
   const deepseekModel = getDeepseekModelName(model);
@@ -82,8 +84,16 @@ export async function generateDeepseekResponse(messages, model) {
     // Parse the response
     const data = await response.json();
     
-    // Return the generated content
-    return data.choices[0].message.content;
+    // Return the generated content, its token usage and any reasoning
+    const message = data.choices[0].message;
+    const result = {
+      text: message.content,
+      usage: fromOpenAIUsage(data.usage, data.model || deepseekModel)
+    };
+    if (message.reasoning_content) {
+      result.reasoning = message.reasoning_content;
+    }
+    return result;
   } catch (error) {
     console.error("Deepseek API Error:", error);
     throw error;
@@ -96,7 +106,7 @@ export async function generateDeepseekResponse(messages, model) {
  * @param {object} res - Express response object for SSE
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The Deepseek model to use
- * @param {Function} onComplete - Callback function to execute when streaming is complete
+ * @param {Function} onComplete - Callback receiving the complete response and { usage, reasoning } (reasoning for R1 only)
  */
 export async function generateDeepseekStreamingResponse(res, messages, model, onComplete) {
   const deepseekModel = getDeepseekModelName(model);
@@ -115,7 +125,9 @@ export async function generateDeepseekStreamingResponse(res, messages, model, on
       model: deepseekModel,
       messages: messages,
       max_tokens: 4000,
-      stream: true
+      stream: true,
+      // Adds a final chunk (with no choices) carrying the token usage
+      stream_options: { include_usage: true }
     };
     
     console.log("Deepseek streaming payload:", JSON.stringify({
@@ -146,16 +158,20 @@ export async function generateDeepseekStreamingResponse(res, messages, model, on
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let completeResponse = '';
+    let buffer = '';
+    let usage = null;
+    let completeReasoning = '';
     
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
       
-      // Decode the chunk
-      const chunk = decoder.decode(value, { stream: true });
+      // Events can be split across network chunks, so keep the trailing partial line
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
       
       // Deepseek API returns SSE data chunks just like OpenAI
-      const lines = chunk.split('\n');
       for (const line of lines) {
         if (line.startsWith('data: ')) {
           try {
@@ -165,11 +181,22 @@ export async function generateDeepseekStreamingResponse(res, messages, model, on
             // Parse the data
             const data = JSON.parse(line.substring(6));
             
+            const delta = data.choices?.[0]?.delta;
+            
+            // R1 streams its chain of thought separately from the answer
+            if (delta && delta.reasoning_content) {
+              res.write(`data: ${JSON.stringify({ reasoning: delta.reasoning_content })}\n\n`);
+              completeReasoning += delta.reasoning_content;
+            }
+            
             // Extract the content if present
-            if (data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content) {
-              const content = data.choices[0].delta.content;
-              res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
-              completeResponse += content;
+            if (delta && delta.content) {
+              res.write(`data: ${JSON.stringify({ chunk: delta.content })}\n\n`);
+              completeResponse += delta.content;
+            }
+            
+            if (data.usage) {
+              usage = fromOpenAIUsage(data.usage, data.model || deepseekModel);
             }
           } catch (e) {
             console.error('Error parsing Deepseek stream data:', e, line);
@@ -182,9 +209,9 @@ export async function generateDeepseekStreamingResponse(res, messages, model, on
     res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
     res.end();
     
-    // Execute callback with the complete response
+    // Execute callback with the complete response, its token usage and any reasoning
     if (typeof onComplete === 'function') {
-      await onComplete(completeResponse);
+      await onComplete(completeResponse, completeReasoning ? { usage, reasoning: completeReasoning } : { usage });
     }
     
     return completeResponse;
@@ -210,13 +237,29 @@ export async function testDeepseekConnection() {
     console.log("Testing Deepseek connection with API key starting with:", 
                 DEEPSEEK_API_KEY ? DEEPSEEK_API_KEY.substring(0, 4) + "..." : "undefined");
     
-    const response = await generateDeepseekResponse([
+    const { text } = await generateDeepseekResponse([
       { role: "user", content: "Say hello!" }
     ], "deepseek-chat");
     
-    return { success: true, response };
+    return { success: true, response: text };
   } catch (error) {
     console.error("Deepseek test connection error:", error);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// Register Deepseek with the provider registry
+registerProvider({
+  id: 'deepseek',
+  name: 'Deepseek',
+  generate: generateDeepseekResponse,
+  stream: generateDeepseekStreamingResponse,
+  // Deepseek's chat API is text-only
+  formatImages: async () => [],
+  isConfigured: isDeepseekConfigured,
+  listModels: () => Object.keys(DEEPSEEK_MODEL_MAPPING),
+  capabilities: { vision: false, streaming: true },
+  // deepseek-chat and deepseek-reasoner both accept 64K tokens
+  defaultContextWindow: 64000,
+  maxOutputTokens: 4000
+});
@@ -0,0 +1,120 @@
+import { listAllModels } from './providerRegistry.js';
+
+/**
+ * Check whether a model id matches a plan's model pattern, where "*" matches
+ * any characters (so "*" alone matches every model)
+ *
+ * @param {string} model - Model id
+ * @param {string} pattern - Pattern from a plan's model list
+ * @returns {boolean} True if the pattern matches
+ */
+function matchesModelPattern(model, pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`, 'i').test(model);
+}
+
+/**
+ * Check whether a user's plan includes a model
+ *
+ * @param {Object} entitlements - Entitlements from getEntitlements
+ * @param {string} model - Model id
+ * @returns {boolean} True if the model may be used
+ */
+export function isModelAllowed(entitlements, model) {
+    return entitlements.models.some(pattern => matchesModelPattern(model, pattern));
+}
+
+/**
+ * Largest upload limits of any plan. Multer enforces these while receiving
+ * files; each user's own plan limits are checked once the upload is in.
+ *
+ * @param {Object} plans - Plans keyed by id
+ * @returns {Object} { maxFiles, maxFileMb, maxTotalMb }
+ */
+export function getUploadCeiling(plans) {
+    const limits = Object.values(plans).map(plan => plan.uploads);
+    return {
+        maxFiles: Math.max(...limits.map(l => l.maxFiles)),
+        maxFileMb: Math.max(...limits.map(l => l.maxFileMb)),
+        maxTotalMb: Math.max(...limits.map(l => l.maxTotalMb))
+    };
+}
+
+/**
+ * Create the entitlement resolver, the one place that decides what a user's
+ * plan allows: models, chat and message quotas, upload and storage limits,
+ * and their rate limit.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.plans - Plans keyed by id (see config.plans)
+ * @param {string} deps.defaultPlan - Plan for users without a subscription
+ * @param {string} deps.defaultPaidPlan - Plan for subscribers whose plan isn't recorded
+ * @param {Function} deps.loadSubscription - (userId) => Promise<{ isSubscribed, planId }>
+ * @returns {Object} { getEntitlements, describeEntitlements }
+ */
+export function createEntitlements({ plans, defaultPlan, defaultPaidPlan, loadSubscription }) {
+    for (const planId of [defaultPlan, defaultPaidPlan]) {
+        if (!plans[planId]) throw new Error(`Unknown plan "${planId}" in configuration`);
+    }
+
+    // Entitlements granted by a plan
+    function entitlementsForPlan(planId, isSubscribed) {
+        const plan = plans[planId];
+        return {
+            plan: planId,
+            planName: plan.name,
+            isSubscribed,
+            models: plan.models,
+            limits: {
+                maxChats: plan.maxChats,
+                maxMessagesPerChat: plan.maxMessagesPerChat,
+                uploads: plan.uploads,
+                storageQuotaMb: plan.storageQuotaMb
+            },
+            rateLimit: plan.rateLimit
+        };
+    }
+
+    /**
+     * Resolve what a user is entitled to from their subscription
+     *
+     * @param {string} userId - User id
+     * @returns {Promise<Object>} { plan, planName, isSubscribed, models, limits, rateLimit }
+     */
+    async function getEntitlements(userId) {
+        const { isSubscribed, planId } = await loadSubscription(userId);
+        if (!isSubscribed) return entitlementsForPlan(defaultPlan, false);
+
+        if (planId && !plans[planId]) {
+            console.warn(`⚠️ User ${userId} holds unknown plan "${planId}", using ${defaultPaidPlan}`);
+        }
+        return entitlementsForPlan(plans[planId] ? planId : defaultPaidPlan, true);
+    }
+
+    /**
+     * Describe entitlements for the client: the plan and limits, and every
+     * registered model with whether the plan includes it. Models the default
+     * plan doesn't include are marked premium.
+     *
+     * @param {Object} entitlements - Entitlements from getEntitlements
+     * @returns {Object} { plan, planName, isSubscribed, limits, rateLimit, models: [{ id, provider, allowed, premium }] }
+     */
+    function describeEntitlements(entitlements) {
+        const defaultEntitlements = entitlementsForPlan(defaultPlan, false);
+        return {
+            plan: entitlements.plan,
+            planName: entitlements.planName,
+            isSubscribed: entitlements.isSubscribed,
+            limits: entitlements.limits,
+            rateLimit: entitlements.rateLimit,
+            models: listAllModels().map(model => ({
+                id: model.id,
+                provider: model.provider,
+                allowed: isModelAllowed(entitlements, model.id),
+                premium: !isModelAllowed(defaultEntitlements, model.id)
+            }))
+        };
+    }
+
+    return { getEntitlements, describeEntitlements };
+}
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+
+// Bytes per megabyte, for quota messages
+const MB = 1024 * 1024;
+
+/**
+ * Delete files older than a cutoff under a directory, then any directories
+ * left empty
+ *
+ * @param {String} dir - Directory to sweep
+ * @param {Date} cutoff - Files last modified before this are deleted
+ * @returns {Promise<Object>} { files, bytes } removed
+ */
+async function sweepDirectory(dir, cutoff) {
+    const removed = { files: 0, bytes: 0 };
+    if (!fs.existsSync(dir)) return removed;
+
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        try {
+            if (entry.isDirectory()) {
+                const nested = await sweepDirectory(entryPath, cutoff);
+                removed.files += nested.files;
+                removed.bytes += nested.bytes;
+                if ((await fs.promises.readdir(entryPath)).length === 0) {
+                    await fs.promises.rmdir(entryPath);
+                }
+            } else if (entry.isFile()) {
+                const stats = await fs.promises.stat(entryPath);
+                if (stats.mtime < cutoff) {
+                    await fs.promises.unlink(entryPath);
+                    removed.files++;
+                    removed.bytes += stats.size;
+                }
+            }
+        } catch (err) {
+            console.warn(`⚠️ Could not sweep ${entryPath}:`, err.message);
+        }
+    }
+
+    return removed;
+}
+
+/**
+ * Create the upload retention service: per-user storage quotas, the TTL
+ * sweep that removes expired uploads, and deletion of a chat's files when
+ * the chat is deleted.
+ *
+ * @param {Object} deps - Service dependencies
+ * @param {Object} deps.conversationStore - Store holding each chat's file library
+ * @param {Object} deps.fileStorage - Storage for uploaded files
+ * @param {Object} deps.limits - { retentionDays }
+ * @param {Object} deps.plans - Plans keyed by id, for their storage quotas
+ * @param {Array<String>} [deps.sweepDirs] - Extra directories to clear of stale files (e.g. multer staging)
+ * @returns {Object} { checkQuota, discardUploads, deleteChatFiles, sweepExpired, getStorageReport, start }
+ */
+export function createFileRetention({ conversationStore, fileStorage, limits, plans, sweepDirs = [] }) {
+
+    // Delete a library file's stored object unless another file in the chat still uses it
+    async function deleteStoredFile(file) {
+        if (file.storageKey) {
+            const remaining = await conversationStore.getFiles(file.sessionId, file.userId);
+            if (!remaining.some(f => f.storageKey === file.storageKey)) {
+                await fileStorage.delete(file.storageKey);
+            }
+        } else if (file.path) {
+            await fs.promises.unlink(file.path).catch(() => {});
+        }
+    }
+
+    return {
+        /**
+         * Check whether new uploads fit in a user's storage quota
+         *
+         * @param {string} userId - User id
+         * @param {number} quotaMb - The user's storage quota from their plan
+         * @param {number} incomingBytes - Size of the new uploads
+         * @returns {Promise<Object>} { allowed, usedBytes, limitBytes }
+         */
+        async checkQuota(userId, quotaMb, incomingBytes) {
+            const limitBytes = quotaMb * MB;
+            const usedBytes = await conversationStore.getStorageUsage(userId);
+            return { allowed: usedBytes + incomingBytes <= limitBytes, usedBytes, limitBytes };
+        },
+
+        /**
+         * Remove multer temp files for uploads that were rejected
+         *
+         * @param {Array} files - Multer file objects
+         */
+        async discardUploads(files) {
+            await Promise.all((files || []).map(file => fs.promises.unlink(file.path).catch(() => {})));
+        },
+
+        /**
+         * Delete every stored file of a chat (call before deleting the chat itself)
+         *
+         * @param {string} sessionId - Chat session id
+         * @param {string} userId - Owner of the chat
+         * @returns {Promise<number>} Number of library files removed
+         */
+        async deleteChatFiles(sessionId, userId) {
+            const files = await conversationStore.getFiles(sessionId, userId);
+
+            // Stored objects share the owner's key prefix for the chat
+            await fileStorage.deletePrefix(`${userId}/${sessionId}`);
+            for (const file of files.filter(f => !f.storageKey && f.path)) {
+                await fs.promises.unlink(file.path).catch(() => {});
+            }
+
+            console.log(`🧹 Deleted ${files.length} files for chat ${sessionId}`);
+            return files.length;
+        },
+
+        /**
+         * Remove uploads older than the retention period, plus stale files
+         * left on local disk (rejected uploads, old cache entries)
+         *
+         * @param {Date} [now] - Current time
+         * @returns {Promise<Object>} { files, strayFiles, strayBytes }
+         */
+        async sweepExpired(now = new Date()) {
+            const cutoff = new Date(now.getTime() - limits.retentionDays * 24 * 60 * 60 * 1000);
+            const expired = await conversationStore.listFilesUploadedBefore(cutoff);
+
+            let files = 0;
+            for (const file of expired) {
+                try {
+                    const removed = await conversationStore.removeFile(file.sessionId, file.userId, file.id);
+                    if (removed) {
+                        await deleteStoredFile(file);
+                        files++;
+                    }
+                } catch (err) {
+                    console.error(`Error removing expired file ${file.id}:`, err);
+                }
+            }
+
+            const stray = { files: 0, bytes: 0 };
+            for (const dir of [fileStorage.localDir, ...sweepDirs].filter(Boolean)) {
+                const removed = await sweepDirectory(dir, cutoff);
+                stray.files += removed.files;
+                stray.bytes += removed.bytes;
+            }
+
+            console.log(`🧹 Retention sweep removed ${files} expired uploads and ${stray.files} stray files (${(stray.bytes / MB).toFixed(1)} MB)`);
+            return { files, strayFiles: stray.files, strayBytes: stray.bytes };
+        },
+
+        /**
+         * Report storage used per user, with the configured quotas
+         *
+         * @returns {Promise<Object>} { users: [{ userId, files, bytes }], quotas }
+         */
+        async getStorageReport() {
+            return {
+                users: await conversationStore.getStorageReport(),
+                quotas: {
+                    planBytes: Object.fromEntries(Object.entries(plans).map(([id, plan]) => [id, plan.storageQuotaMb * MB])),
+                    retentionDays: limits.retentionDays
+                }
+            };
+        },
+
+        /**
+         * Run the retention sweep now and then on an interval
+         *
+         * @param {number} intervalMs - Time between sweeps
+         * @returns {Object} The interval timer
+         */
+        start(intervalMs) {
+            const sweep = () => this.sweepExpired().catch(err => console.error("Retention sweep failed:", err));
+            sweep();
+            const timer = setInterval(sweep, intervalMs);
+            timer.unref();
+            return timer;
+        }
+    };
+}
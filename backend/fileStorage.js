@@ -0,0 +1,286 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * File storages keep uploaded files under content-addressed keys
+ * (`<prefix>/<sha256><ext>`, where the prefix is `<userId>/<sessionId>`),
+ * so uploading the same file twice to a chat stores it once. Every storage
+ * implements the same async interface:
+ *
+ *   put(sourcePath, { prefix, originalName, contentType }) → { key, size, sha256 }
+ *   get(key)                          → Buffer
+ *   exists(key)                       → boolean
+ *   delete(key)
+ *   deletePrefix(prefix)              → removes every file under the prefix (e.g. a whole chat)
+ *   getSignedUrl(key, { expiresIn, downloadName }) → URL string
+ *   getLocalPath(key)                 → path of a local copy, for the document parsers
+ *
+ * `put` moves the source file into storage (or its local cache), so the
+ * multer temp file doesn't need separate cleanup. `localDir` is the
+ * directory holding the stored files or their cache.
+ */
+
+// Default lifetime of signed download URLs, in seconds
+const DEFAULT_SIGNED_URL_EXPIRY = 5 * 60;
+
+/**
+ * Hash a file's contents with SHA-256
+ *
+ * @param {String} filePath - Path to the file
+ * @returns {Promise<String>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Build the content-addressed key for a file
+ *
+ * @param {String} prefix - Key prefix (e.g. `<userId>/<sessionId>`)
+ * @param {String} sha256 - Hex digest of the contents
+ * @param {String} originalName - Original file name, for the extension
+ * @returns {String} Storage key
+ */
+function buildKey(prefix, sha256, originalName) {
+    const ext = path.extname(originalName || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+    return `${prefix}/${sha256}${ext}`;
+}
+
+/**
+ * Resolve a key to a path inside a directory, rejecting keys that escape it
+ *
+ * @param {String} rootDir - Directory the key must stay inside
+ * @param {String} key - Storage key
+ * @returns {String} Absolute path
+ */
+function resolveInside(rootDir, key) {
+    const root = path.resolve(rootDir);
+    const filePath = path.resolve(root, key || '');
+    if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+}
+
+/**
+ * Move a file, falling back to copy and delete across devices
+ *
+ * @param {String} from - Source path
+ * @param {String} to - Destination path
+ */
+async function moveFile(from, to) {
+    await fs.promises.mkdir(path.dirname(to), { recursive: true });
+    if (fs.existsSync(to)) {
+        // Same content is already stored under this key; refresh its age for the retention sweep
+        const now = new Date();
+        await fs.promises.utimes(to, now, now).catch(() => {});
+        await fs.promises.unlink(from).catch(() => {});
+        return;
+    }
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        await fs.promises.copyFile(from, to);
+        await fs.promises.unlink(from).catch(() => {});
+    }
+}
+
+/**
+ * Create a storage that keeps files on local disk. Signed URLs point at a
+ * download route that checks an HMAC signature with verifySignedUrl().
+ * Also used as the test backend (point rootDir at a temp directory).
+ *
+ * @param {Object} options - Storage options
+ * @param {String} options.rootDir - Directory that holds the stored files
+ * @param {String} options.signingSecret - Secret for signing download URLs
+ * @param {String} [options.downloadPath] - Route that serves signed downloads
+ * @returns {Object} File storage
+ */
+export function createLocalFileStorage({ rootDir, signingSecret, downloadPath = '/api/storage/download' }) {
+    if (!signingSecret) {
+        console.warn("⚠️ No storage signing secret configured, using a random one (signed URLs won't survive restarts)");
+    }
+    const secret = signingSecret || crypto.randomBytes(32).toString('hex');
+
+    function sign(key, expires, downloadName) {
+        return crypto.createHmac('sha256', secret).update(`${key}\n${expires}\n${downloadName || ''}`).digest('hex');
+    }
+
+    return {
+        driver: 'local',
+        localDir: rootDir,
+
+        async put(sourcePath, { prefix, originalName }) {
+            const sha256 = await hashFile(sourcePath);
+            const { size } = await fs.promises.stat(sourcePath);
+            const key = buildKey(prefix, sha256, originalName);
+
+            const destination = resolveInside(rootDir, key);
+            if (path.resolve(sourcePath) !== destination) {
+                await moveFile(sourcePath, destination);
+            }
+            return { key, size, sha256 };
+        },
+
+        async get(key) {
+            return fs.promises.readFile(resolveInside(rootDir, key));
+        },
+
+        async exists(key) {
+            return fs.existsSync(resolveInside(rootDir, key));
+        },
+
+        async delete(key) {
+            await fs.promises.unlink(resolveInside(rootDir, key)).catch(err => {
+                if (err.code !== 'ENOENT') throw err;
+            });
+        },
+
+        async deletePrefix(prefix) {
+            await fs.promises.rm(resolveInside(rootDir, prefix), { recursive: true, force: true });
+        },
+
+        async getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_EXPIRY, downloadName } = {}) {
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            const params = new URLSearchParams({ key, expires: String(expires), signature: sign(key, expires, downloadName) });
+            if (downloadName) params.set('name', downloadName);
+            return `${downloadPath}?${params}`;
+        },
+
+        /**
+         * Check a signed download URL's query parameters
+         *
+         * @param {Object} query - { key, expires, signature, name }
+         * @returns {Boolean} True if the signature matches and hasn't expired
+         */
+        verifySignedUrl({ key, expires, signature, name }) {
+            if (!key || !expires || !signature) return false;
+            if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+
+            const expected = Buffer.from(sign(key, expires, name));
+            const actual = Buffer.from(String(signature));
+            return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+        },
+
+        async getLocalPath(key) {
+            const filePath = resolveInside(rootDir, key);
+            return fs.existsSync(filePath) ? filePath : null;
+        }
+    };
+}
+
+/**
+ * Create a storage backed by a Supabase Storage bucket. Files are also kept
+ * in a local cache directory so the document parsers can read them; a cache
+ * miss (e.g. on another serverless instance) downloads the object again.
+ *
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} options - Storage options
+ * @param {String} options.bucket - Storage bucket name
+ * @param {String} [options.cacheDir] - Local cache directory
+ * @returns {Object} File storage
+ */
+export function createSupabaseFileStorage(supabase, { bucket, cacheDir = path.join(os.tmpdir(), 'pantherai-storage') }) {
+    const objects = () => supabase.storage.from(bucket);
+
+    return {
+        driver: 'supabase',
+        localDir: cacheDir,
+
+        async put(sourcePath, { prefix, originalName, contentType }) {
+            const sha256 = await hashFile(sourcePath);
+            const data = await fs.promises.readFile(sourcePath);
+            const key = buildKey(prefix, sha256, originalName);
+
+            // upsert: the key is derived from the contents, so rewriting it is harmless
+            const { error } = await objects().upload(key, data, {
+                contentType: contentType || 'application/octet-stream',
+                upsert: true
+            });
+            if (error) throw new Error("Failed to upload file to storage: " + error.message);
+
+            await moveFile(sourcePath, resolveInside(cacheDir, key));
+            return { key, size: data.length, sha256 };
+        },
+
+        async get(key) {
+            const { data, error } = await objects().download(key);
+            if (error) throw new Error("Failed to download file from storage: " + error.message);
+            return Buffer.from(await data.arrayBuffer());
+        },
+
+        async exists(key) {
+            const folder = path.posix.dirname(key);
+            const name = path.posix.basename(key);
+            const { data, error } = await objects().list(folder, { search: name });
+            if (error) throw new Error("Failed to check storage: " + error.message);
+            return (data || []).some(item => item.name === name);
+        },
+
+        async delete(key) {
+            const { error } = await objects().remove([key]);
+            if (error) throw new Error("Failed to delete file from storage: " + error.message);
+            await fs.promises.unlink(resolveInside(cacheDir, key)).catch(() => {});
+        },
+
+        async deletePrefix(prefix) {
+            const { data, error } = await objects().list(prefix, { limit: 1000 });
+            if (error) throw new Error("Failed to list storage: " + error.message);
+
+            const keys = (data || []).map(item => `${prefix}/${item.name}`);
+            if (keys.length > 0) {
+                const { error: removeError } = await objects().remove(keys);
+                if (removeError) throw new Error("Failed to delete files from storage: " + removeError.message);
+            }
+            await fs.promises.rm(resolveInside(cacheDir, prefix), { recursive: true, force: true });
+        },
+
+        async getSignedUrl(key, { expiresIn = DEFAULT_SIGNED_URL_EXPIRY, downloadName } = {}) {
+            const { data, error } = await objects().createSignedUrl(key, expiresIn, { download: downloadName || true });
+            if (error) throw new Error("Failed to sign download URL: " + error.message);
+            return data.signedUrl;
+        },
+
+        async getLocalPath(key) {
+            const cachePath = resolveInside(cacheDir, key);
+            if (fs.existsSync(cachePath)) return cachePath;
+
+            try {
+                const data = await this.get(key);
+                await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+                await fs.promises.writeFile(cachePath, data);
+                return cachePath;
+            } catch (err) {
+                console.error(`Error caching ${key} from storage:`, err);
+                return null;
+            }
+        }
+    };
+}
+
+/**
+ * Create the file storage selected by the configuration
+ *
+ * @param {Object} storageConfig - config.storage
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {String} uploadsDir - Directory for the local driver
+ * @returns {Object} File storage
+ */
+export function createFileStorage(storageConfig, supabase, uploadsDir) {
+    if (storageConfig.driver === 'supabase') {
+        console.log(`🗄️ Storing uploads in Supabase Storage bucket "${storageConfig.bucket}"`);
+        return createSupabaseFileStorage(supabase, { bucket: storageConfig.bucket });
+    }
+
+    console.log(`🗄️ Storing uploads on local disk in ${uploadsDir}`);
+    return createLocalFileStorage({ rootDir: uploadsDir, signingSecret: storageConfig.signingSecret });
+}
@@ -1,15 +1,49 @@
 import fs from 'fs';
 import path from 'path';
+import { PDFParse } from 'pdf-parse';
+import * as XLSX from 'xlsx';
+import { isDocxFile, isPptxFile, extractDocxText, extractPptxText } from './officeDocuments.js';
+import { prepareImages } from './imageProcessing.js';
+
+// Limits for text extracted from PDFs
+const PDF_MAX_BYTES = 10 * 1024 * 1024; // 10MB, same as the upload limit
+const PDF_MAX_PAGES = 50;
+const PDF_MAX_CHARS = 100 * 1024; // Same budget as truncated text files
+
+// Limits for spreadsheets rendered as tables
+const SPREADSHEET_MAX_BYTES = 10 * 1024 * 1024;
+const SPREADSHEET_PREVIEW_ROWS = 50; // Rows per sheet when the user hasn't asked for a range
+const SPREADSHEET_MAX_RANGE_ROWS = 500; // Most rows returned for a requested range
+const SPREADSHEET_MAX_COLUMNS = 30;
+const SPREADSHEET_MAX_CELL_CHARS = 100;
+const SPREADSHEET_MAX_CHARS = 100 * 1024;
+
+// Limits for CSV analysis
+const CSV_MAX_BYTES = 10 * 1024 * 1024;
+const CSV_SAMPLE_ROWS = 10;
+const CSV_TOP_VALUES = 5;
+const CSV_CACHE_SIZE = 20; // CSV analyses kept in memory for follow-up questions (rows aren't kept)
+
+// Cell values treated as missing in CSVs
+const CSV_NULL_VALUES = new Set(['', 'na', 'n/a', 'null', 'none', 'nan', '-']);
+
+// Delimiters tried when sniffing a CSV
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// MIME types of Excel workbooks
+const SPREADSHEET_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel'
+];
 
 /**
  * Process uploaded files and organize them by session
  * 
  * @param {Array} files - Array of uploaded files
  * @param {String} sessionId - Session identifier
- * @param {Map} sessionFilesMap - Map to store file information by session
  * @returns {Array} Array of processed file information
  */
-export function processUploadedFiles(files, sessionId, sessionFilesMap) {
+export function processUploadedFiles(files, sessionId) {
     // Log all files being processed for debugging
     console.log(`Processing ${files?.length || 0} uploads for session ${sessionId}`);
     if (files && files.length > 0) {
@@ -24,13 +58,6 @@ export function processUploadedFiles(files, sessionId, sessionFilesMap) {
         sessionId = 'unknown-' + Date.now();
     }
     
-    // Make sure the session map is initialized
-    if (!sessionFilesMap.has(sessionId)) {
-        sessionFilesMap.set(sessionId, []);
-    }
-    
-    const filesList = sessionFilesMap.get(sessionId);
-    
     // Process each file with error handling
     return files.map(file => {
         try {
@@ -46,15 +73,19 @@ export function processUploadedFiles(files, sessionId, sessionFilesMap) {
                 return null;
             }
             
+            const filename = file.filename || ('file-' + Date.now());
             const fileInfo = {
-                filename: file.filename || ('file-' + Date.now()),
+                id: filename,
+                filename,
                 originalName: file.originalname || 'unknown',
                 mimetype: file.mimetype || 'application/octet-stream',
                 size: file.size || 0,
-                path: file.path
+                path: file.path,
+                storageKey: file.storageKey || null,
+                pinned: false,
+                uploadedAt: new Date().toISOString()
             };
             
-            filesList.push(fileInfo);
             return fileInfo;
         } catch (error) {
             console.error(`Error processing file ${file?.originalname || 'unknown'}:`, error);
@@ -63,6 +94,112 @@ export function processUploadedFiles(files, sessionId, sessionFilesMap) {
     }).filter(file => file !== null); // Remove any failed files
 }
 
+// How users refer to earlier uploads ("the earlier spreadsheet", "that pdf")
+const FILE_REFERENCE_PATTERN = /\b(?:earlier|previous|last|same|uploaded|attached|that|my)\s+(spreadsheet|workbook|excel|csv|pdf|document|doc|docx|presentation|deck|slides|image|picture|photo|screenshot|file)s?\b/gi;
+
+// Which library files each referenced kind matches
+const FILE_REFERENCE_KINDS = {
+    spreadsheet: file => isTabularFile(file),
+    workbook: file => isSpreadsheetFile(file),
+    excel: file => isSpreadsheetFile(file),
+    csv: file => isCsvFile(file),
+    pdf: file => isPdfFile(file),
+    document: file => isDocxFile(file) || isPdfFile(file) || isTextFile(file),
+    doc: file => isDocxFile(file) || isPdfFile(file) || isTextFile(file),
+    docx: file => isDocxFile(file),
+    presentation: file => isPptxFile(file),
+    deck: file => isPptxFile(file),
+    slides: file => isPptxFile(file),
+    image: file => (file.mimetype || '').startsWith('image/'),
+    picture: file => (file.mimetype || '').startsWith('image/'),
+    photo: file => (file.mimetype || '').startsWith('image/'),
+    screenshot: file => (file.mimetype || '').startsWith('image/'),
+    file: () => true
+};
+
+/**
+ * Pick the files from a chat's library to attach to this turn again: pinned
+ * files, files mentioned by name, and the latest file of each kind the
+ * message refers to (e.g. "use the earlier spreadsheet")
+ * 
+ * @param {String} message - User's message
+ * @param {Array} libraryFiles - Earlier files from the chat's library, oldest first
+ * @returns {Array} Files in the same shape as multer uploads (pass them through localizeFiles)
+ */
+export function selectLibraryFilesForTurn(message, libraryFiles) {
+    const selected = new Set(libraryFiles.filter(file => file.pinned));
+    const text = (message || '').toLowerCase();
+    const newestFirst = [...libraryFiles].reverse();
+    
+    for (const file of libraryFiles) {
+        if (file.originalName && text.includes(file.originalName.toLowerCase())) {
+            selected.add(file);
+        }
+    }
+    
+    for (const [, kind] of text.matchAll(FILE_REFERENCE_PATTERN)) {
+        const match = newestFirst.find(FILE_REFERENCE_KINDS[kind.toLowerCase()]);
+        if (match) selected.add(match);
+    }
+    
+    return libraryFiles
+        .filter(file => selected.has(file))
+        .map(file => ({
+            filename: file.filename || file.id,
+            originalname: file.originalName,
+            mimetype: file.mimetype,
+            size: file.size,
+            path: file.path,
+            storageKey: file.storageKey
+        }));
+}
+
+/**
+ * Move uploaded files into storage under content-addressed keys. Each
+ * file's path is updated to the stored (or cached) local copy.
+ * 
+ * @param {Array} files - Multer file objects
+ * @param {String} prefix - Storage key prefix (the owner and chat)
+ * @param {Object} storage - File storage from fileStorage.js
+ * @returns {Promise<Array>} The same files, with storageKey and path set
+ */
+export async function storeUploadedFiles(files, prefix, storage) {
+    for (const file of files || []) {
+        const stored = await storage.put(file.path, {
+            prefix,
+            originalName: file.originalname,
+            contentType: file.mimetype
+        });
+        file.storageKey = stored.key;
+        file.path = await storage.getLocalPath(stored.key);
+        console.log(`🗄️ Stored ${file.originalname} as ${stored.key}`);
+    }
+    return files;
+}
+
+/**
+ * Make sure library files have a local copy the parsers can read,
+ * fetching stored files into the cache when needed
+ * 
+ * @param {Array} files - Files with a path and optionally a storageKey
+ * @param {Object} storage - File storage from fileStorage.js
+ * @returns {Promise<Array>} Files that have a local copy, with path updated
+ */
+export async function localizeFiles(files, storage) {
+    const localFiles = [];
+    for (const file of files || []) {
+        const localPath = file.storageKey
+            ? await storage.getLocalPath(file.storageKey)
+            : (file.path && fs.existsSync(file.path) ? file.path : null);
+        if (localPath) {
+            localFiles.push({ ...file, path: localPath });
+        } else {
+            console.warn(`⚠️ No local copy of ${file.originalname || file.originalName}, skipping it`);
+        }
+    }
+    return localFiles;
+}
+
 /**
  * Read content from a text file
  * 
@@ -133,15 +270,31 @@ export async function fileToDataURL(filePath, mimeType) {
  * Prepare Claude-specific image format (direct implementation)
  * 
  * @param {Array} files - Array of image files
- * @returns {Promise<Array>} Array of Claude-formatted image objects
+ * @param {Set<String>} [sentHashes] - Hashes of images already sent with the chat
+ * @returns {Promise<Array>} Array of Claude-formatted image objects (null for images that failed)
  */
-export async function prepareClaudeImages(files) {
+export async function prepareClaudeImages(files, sentHashes) {
     console.log(`Preparing ${files?.length || 0} images specifically for Claude`);
     
-    if (!files || files.length === 0) return [];
-    
-    // Filter to ensure we only process image files with error handling
-    const imageFiles = files.filter(file => {
+    const images = await prepareImages(filterImageFiles(files), 'claude', sentHashes);
+    return images.map(image => image && {
+        type: "image",
+        source: {
+            type: "base64",
+            media_type: image.mimetype,
+            data: image.data.toString('base64')
+        }
+    });
+}
+
+/**
+ * Keep the image files that still exist on disk
+ * 
+ * @param {Array} files - Uploaded files
+ * @returns {Array} Image files
+ */
+function filterImageFiles(files) {
+    return (files || []).filter(file => {
         try {
             return file && file.mimetype && file.mimetype.startsWith('image/') && fs.existsSync(file.path);
         } catch (error) {
@@ -149,193 +302,863 @@ export async function prepareClaudeImages(files) {
             return false;
         }
     });
+}
+
+/**
+ * Prepare images in the format required by different AI models. Images are
+ * resized and re-encoded for the provider (see imageProcessing.js), and an
+ * image already in sentHashes (attached twice, or sent with an earlier turn
+ * of the chat) is left out.
+ * 
+ * @param {Array} files - Image files to process
+ * @param {String} targetModel - The AI model ("claude", "openai", "gemini", "grok")
+ * @param {Set<String>} [sentHashes] - Hashes of images already sent with the chat; updated in place
+ * @returns {Promise<Array>} Processed image data in the format required by the model (null for images that failed)
+ */
+export async function prepareImagesForModel(files, targetModel, sentHashes) {
+    console.log(`Preparing images for ${targetModel} model`);
     
-    if (imageFiles.length === 0) {
-        console.log("No valid image files found for Claude");
-        return [];
+    const imageFiles = filterImageFiles(files);
+    console.log(`Found ${imageFiles.length} valid image files out of ${files?.length || 0} total files`);
+    
+    if (imageFiles.length === 0) return [];
+    
+    if (targetModel.includes('claude')) {
+        return await prepareClaudeImages(imageFiles, sentHashes);
+    }
+    
+    const images = await prepareImages(imageFiles, targetModel, sentHashes);
+    
+    if (targetModel.includes('gemini')) {
+        // Gemini takes inline base64 data
+        return images.map(image => image && {
+            inlineData: {
+                data: image.data.toString('base64'),
+                mimeType: image.mimetype
+            }
+        });
     }
     
-    console.log(`Processing ${imageFiles.length} valid images for Claude`);
+    // OpenAI and Grok take data URLs
+    return images.map(image => image && {
+        type: "image_url",
+        image_url: { url: `data:${image.mimetype};base64,${image.data.toString('base64')}` }
+    });
+}
+/**
+ * Check whether a file's contents can be inlined into the prompt as text
+ * 
+ * @param {Object} file - Uploaded file object
+ * @returns {Boolean} True if the file is a text-based format
+ */
+export function isTextFile(file) {
+    const mimetype = file?.mimetype || '';
+    return mimetype.startsWith('text/') || mimetype.includes('json') || mimetype.includes('csv');
+}
+
+/**
+ * Check whether a file is a PDF document
+ * 
+ * @param {Object} file - Uploaded file object
+ * @returns {Boolean} True if the file is a PDF
+ */
+export function isPdfFile(file) {
+    return (file?.mimetype || '').includes('pdf');
+}
+
+/**
+ * Check whether a file is an Excel workbook (.xlsx or .xls)
+ * 
+ * @param {Object} file - Uploaded file object or stored file info
+ * @returns {Boolean} True if the file is a spreadsheet
+ */
+export function isSpreadsheetFile(file) {
+    if (SPREADSHEET_MIME_TYPES.includes(file?.mimetype)) return true;
+    const name = file?.originalname || file?.originalName || '';
+    return /\.xlsx?$/i.test(name);
+}
+
+/**
+ * Find a sheet and row range request in a message, e.g. "sheet 2, rows 100-200"
+ * or 'sheet "Sales" rows 10 to 40'. CSVs use the row range only.
+ * 
+ * @param {String} message - User's message
+ * @returns {Object|null} { sheet, startRow, endRow } (sheet is a 1-based number or a name), or null if none
+ */
+export function parseSpreadsheetRange(message) {
+    if (!message) return null;
+    
+    const sheetNumber = message.match(/\bsheet\s*#?\s*(\d+)\b/i);
+    const sheetName = message.match(/\bsheet\s+["“']([^"”']+)["”']/i);
+    const rows = message.match(/\brows?\s*(\d+)\s*(?:-|–|to|through)\s*(\d+)\b/i);
+    if (!sheetNumber && !sheetName && !rows) return null;
     
+    const range = {
+        sheet: sheetNumber ? parseInt(sheetNumber[1], 10) : (sheetName ? sheetName[1].trim() : null),
+        startRow: null,
+        endRow: null
+    };
+    
+    if (rows) {
+        const [start, end] = [parseInt(rows[1], 10), parseInt(rows[2], 10)].sort((a, b) => a - b);
+        range.startRow = Math.max(1, start);
+        range.endRow = Math.max(1, end);
+    }
+    
+    return range;
+}
+
+/**
+ * Find the bounds of the cells that actually hold values. Exported sheets
+ * often declare a much larger range (e.g. A1:Z1000) than they use.
+ * 
+ * @param {Object} sheet - SheetJS worksheet
+ * @returns {Object|null} Range { s: { r, c }, e: { r, c } } or null if the sheet is empty
+ */
+function getUsedRange(sheet) {
+    let bounds = null;
+    for (const address of Object.keys(sheet)) {
+        if (address[0] === '!') continue;
+        const value = sheet[address]?.v;
+        if (value === undefined || value === null || value === '') continue;
+        
+        const { r, c } = XLSX.utils.decode_cell(address);
+        if (!bounds) {
+            bounds = { s: { r, c }, e: { r, c } };
+        } else {
+            bounds.s.r = Math.min(bounds.s.r, r);
+            bounds.s.c = Math.min(bounds.s.c, c);
+            bounds.e.r = Math.max(bounds.e.r, r);
+            bounds.e.c = Math.max(bounds.e.c, c);
+        }
+    }
+    return bounds;
+}
+
+/**
+ * Read the rows of one sheet within the requested range and the table limits
+ * 
+ * @param {Object} sheet - SheetJS worksheet
+ * @param {Object|null} range - Requested { startRow, endRow }, or null for a preview
+ * @returns {Object} { rowCount, columnCount, shownColumns, headerRow, header, rows: [{ num, cells }] }
+ */
+function readSheetRows(sheet, range) {
+    const bounds = sheet ? getUsedRange(sheet) : null;
+    if (!bounds) {
+        return { rowCount: 0, columnCount: 0, shownColumns: 0, headerRow: 1, header: [], rows: [] };
+    }
+    
+    const lastColumn = Math.min(bounds.e.c, bounds.s.c + SPREADSHEET_MAX_COLUMNS - 1);
+    const readRows = (first, last) => XLSX.utils.sheet_to_json(sheet, {
+        header: 1,
+        raw: false,
+        defval: '',
+        blankrows: true,
+        range: { s: { r: first, c: bounds.s.c }, e: { r: last, c: lastColumn } }
+    });
+    
+    // Row numbers match the spreadsheet's own (1-based); the first used row is the header
+    const headerRow = bounds.s.r + 1;
+    const rowCount = bounds.e.r + 1;
+    const firstRow = Math.max(range?.startRow || 0, headerRow + 1);
+    const maxRows = range?.startRow ? SPREADSHEET_MAX_RANGE_ROWS : SPREADSHEET_PREVIEW_ROWS;
+    const lastRow = Math.min(range?.endRow || rowCount, firstRow + maxRows - 1, rowCount);
+    
+    const rows = firstRow <= lastRow
+        ? readRows(firstRow - 1, lastRow - 1).map((cells, i) => ({ num: firstRow + i, cells }))
+        : [];
+    
+    return {
+        rowCount,
+        columnCount: bounds.e.c - bounds.s.c + 1,
+        shownColumns: lastColumn - bounds.s.c + 1,
+        headerRow,
+        header: readRows(headerRow - 1, headerRow - 1)[0] || [],
+        rows
+    };
+}
+
+/**
+ * Extract the sheets of a workbook as bounded rows, optionally limited to a
+ * sheet and row range
+ * 
+ * @param {String} filePath - Path to the .xlsx/.xls file
+ * @param {Object|null} range - Requested { sheet, startRow, endRow } from parseSpreadsheetRange
+ * @returns {Promise<Object|null>} { sheets, sheetNames, missingSheet, truncated } or null on failure
+ */
+export async function extractSpreadsheet(filePath, range = null) {
     try {
-        const results = await Promise.all(imageFiles.map(async (file) => {
-            try {
-                console.log(`Reading Claude image file: ${file.path}`);
-                
-                // Get file stats
-                const stats = await fs.promises.stat(file.path);
-                console.log(`File size: ${stats.size} bytes`);
-                
-                // Check file size limits for Claude (usually 10MB per image)
-                if (stats.size > 10 * 1024 * 1024) {
-                    console.error(`File too large for Claude (${stats.size} bytes): ${file.path}`);
-                    return null;
+        if (!fs.existsSync(filePath)) {
+            console.error(`Spreadsheet doesn't exist: ${filePath}`);
+            return null;
+        }
+        
+        const stats = await fs.promises.stat(filePath);
+        if (stats.size > SPREADSHEET_MAX_BYTES) {
+            console.warn(`Spreadsheet too large to parse (${stats.size} bytes): ${filePath}`);
+            return null;
+        }
+        
+        const workbook = XLSX.read(await fs.promises.readFile(filePath), { type: 'buffer', cellDates: true });
+        const sheetNames = workbook.SheetNames;
+        
+        // Pick the requested sheet; a row range without a sheet applies to the first one
+        let selected = sheetNames.map((name, i) => ({ name, index: i + 1 }));
+        if (range?.sheet != null) {
+            selected = selected.filter(({ name, index }) => typeof range.sheet === 'number'
+                ? index === range.sheet
+                : name.toLowerCase() === String(range.sheet).toLowerCase());
+        } else if (range?.startRow) {
+            selected = selected.slice(0, 1);
+        }
+        
+        if (selected.length === 0) {
+            return { sheets: [], sheetNames, missingSheet: range.sheet, truncated: false };
+        }
+        
+        // Keep rows until the character budget is used up
+        const sheets = [];
+        let totalChars = 0;
+        let truncated = false;
+        for (const { name, index } of selected) {
+            const sheet = readSheetRows(workbook.Sheets[name], range);
+            const rows = [];
+            for (const row of sheet.rows) {
+                const rowChars = row.cells.reduce((total, cell) => total + String(cell).length + 3, 0);
+                if (totalChars + rowChars > SPREADSHEET_MAX_CHARS) {
+                    truncated = true;
+                    break;
                 }
-                
-                // Read file as binary
-                const fileBuffer = await fs.promises.readFile(file.path);
-                console.log(`Successfully read file: ${file.path}, size: ${fileBuffer.length} bytes`);
-                
-                // Convert to base64
-                const base64Data = fileBuffer.toString('base64');
-                
-                // Return in Claude's required format
-                return {
-                    type: "image",
-                    source: {
-                        type: "base64",
-                        media_type: file.mimetype,
-                        data: base64Data
-                    }
-                };
-            } catch (error) {
-                console.error(`Error processing image for Claude: ${file.path}`, error);
-                return null;
+                rows.push(row);
+                totalChars += rowChars;
             }
-        }));
+            sheets.push({ ...sheet, name, index, rows });
+            if (truncated) break;
+        }
         
-        // Filter out failed images
-        const validResults = results.filter(item => item !== null);
-        console.log(`Successfully processed ${validResults.length} images for Claude`);
-        return validResults;
+        console.log(`Extracted ${sheets.length} of ${sheetNames.length} sheets (${totalChars} chars): ${filePath}`);
+        return { sheets, sheetNames, missingSheet: null, truncated };
     } catch (error) {
-        console.error("Failed to process images for Claude:", error);
-        return [];
+        console.error(`Error extracting spreadsheet ${filePath}:`, error);
+        return null;
     }
 }
 
 /**
- * Prepare images in the format required by different AI models
+ * Render numbered rows as a Markdown table
  * 
- * @param {Array} files - Image files to process
- * @param {String} targetModel - The AI model ("claude", "openai", "gemini", "grok")
- * @returns {Promise<Array>} Processed image data in the format required by the model
+ * @param {Array} header - Header cells
+ * @param {Array} rows - Rows as [{ num, cells }]
+ * @param {Number} columnCount - Number of columns to render
+ * @returns {String} Markdown table
  */
-export async function prepareImagesForModel(files, targetModel) {
-    console.log(`Preparing images for ${targetModel} model`);
+function renderTable(header, rows, columnCount) {
+    const formatCell = (cell) => {
+        const text = String(cell ?? '').replace(/\r?\n/g, ' ').replace(/\|/g, '\\|').trim();
+        return text.length > SPREADSHEET_MAX_CELL_CHARS ? text.substring(0, SPREADSHEET_MAX_CELL_CHARS) + '…' : text;
+    };
+    const padCells = (cells) => Array.from({ length: columnCount }, (_, i) => formatCell(cells[i]));
     
-    if (!files || files.length === 0) {
-        console.log("No files provided to prepareImagesForModel");
-        return [];
+    return [
+        `| Row | ${padCells(header).join(' | ')} |`,
+        `| --- | ${Array(columnCount).fill('---').join(' | ')} |`,
+        ...rows.map(row => `| ${row.num} | ${padCells(row.cells).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Render one extracted sheet as a Markdown table with a short summary
+ * 
+ * @param {Object} sheet - Sheet from extractSpreadsheet
+ * @returns {String} Sheet summary and table
+ */
+function renderSheet(sheet) {
+    const title = `Sheet ${sheet.index} "${sheet.name}": ${sheet.rowCount} rows × ${sheet.columnCount} columns`;
+    if (sheet.rows.length === 0) {
+        return `${title}\n[No rows in the requested range]`;
     }
     
-    // Filter to ensure we only process image files with error handling
-    const imageFiles = files.filter(file => {
-        try {
-            return file && file.mimetype && file.mimetype.startsWith('image/') && fs.existsSync(file.path);
-        } catch (error) {
-            console.error(`Error checking image file: ${file?.path}`, error);
-            return false;
+    const first = sheet.rows[0].num;
+    const last = sheet.rows[sheet.rows.length - 1].num;
+    const notes = [`Showing rows ${first}-${last}; row ${sheet.headerRow} is the header.`];
+    if (last < sheet.rowCount) {
+        notes.push(`The sheet continues to row ${sheet.rowCount}; ask for e.g. "sheet ${sheet.index}, rows ${last + 1}-${Math.min(last + SPREADSHEET_PREVIEW_ROWS, sheet.rowCount)}" to see more.`);
+    }
+    if (sheet.shownColumns < sheet.columnCount) {
+        notes.push(`Only the first ${sheet.shownColumns} of ${sheet.columnCount} columns are shown.`);
+    }
+    
+    return `${title}\n${notes.join(' ')}\n\n${renderTable(sheet.header, sheet.rows, sheet.shownColumns)}`;
+}
+
+/**
+ * Check whether a file is a CSV or TSV
+ * 
+ * @param {Object} file - Uploaded file object or stored file info
+ * @returns {Boolean} True if the file holds delimited text
+ */
+export function isCsvFile(file) {
+    const mimetype = file?.mimetype || '';
+    if (mimetype.includes('csv') || mimetype.includes('tab-separated-values')) return true;
+    const name = file?.originalname || file?.originalName || '';
+    return /\.(csv|tsv)$/i.test(name);
+}
+
+/**
+ * Check whether a file holds rows that can be addressed in follow-ups
+ * ("rows 100-200"), i.e. a spreadsheet or a CSV
+ * 
+ * @param {Object} file - Uploaded file object or stored file info
+ * @returns {Boolean} True if the file is tabular
+ */
+export function isTabularFile(file) {
+    return isSpreadsheetFile(file) || isCsvFile(file);
+}
+
+/**
+ * Guess a CSV's delimiter from its first lines: the candidate that appears
+ * the same (non-zero) number of times on the most lines wins
+ * 
+ * @param {String} text - Start of the CSV
+ * @returns {String} Delimiter character
+ */
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: ',', score: 0 };
+    
+    for (const delimiter of CSV_DELIMITERS) {
+        // Count delimiters outside quotes on each line
+        const counts = lines.map(line => {
+            let count = 0;
+            let quoted = false;
+            for (const char of line) {
+                if (char === '"') quoted = !quoted;
+                else if (char === delimiter && !quoted) count++;
+            }
+            return count;
+        });
+        
+        const firstCount = counts[0] || 0;
+        if (firstCount === 0) continue;
+        const consistentLines = counts.filter(count => count === firstCount).length;
+        const score = consistentLines * 1000 + firstCount;
+        if (score > best.score) best = { delimiter, score };
+    }
+    
+    return best.delimiter;
+}
+
+/**
+ * Parse delimited text into rows of cells (RFC 4180 quoting)
+ * 
+ * @param {String} text - CSV content
+ * @param {String} delimiter - Field delimiter
+ * @returns {Array<Array<String>>} Rows of cells, without blank lines
+ */
+function parseCsvRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
         }
-    });
+    }
+    
+    row.push(cell);
+    if (row.some(value => value !== '')) rows.push(row);
+    return rows;
+}
+
+/**
+ * Check whether a CSV cell counts as missing
+ * 
+ * @param {String} value - Cell value
+ * @returns {Boolean} True for empty or placeholder values such as "N/A"
+ */
+function isNullValue(value) {
+    return value === undefined || value === null || CSV_NULL_VALUES.has(String(value).trim().toLowerCase());
+}
+
+/**
+ * Check whether a cell holds a plain number
+ * 
+ * @param {String} value - Cell value
+ * @returns {Boolean} True if the value parses as a finite number
+ */
+function isNumericValue(value) {
+    const text = String(value).trim();
+    return text !== '' && Number.isFinite(Number(text));
+}
+
+/**
+ * Check whether a cell holds a date such as 2024-03-01 or 3/1/24
+ * 
+ * @param {String} value - Cell value
+ * @returns {Boolean} True if the value looks like a date and parses
+ */
+function isDateValue(value) {
+    const text = String(value).trim();
+    return /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})([ T].*)?$/.test(text) && !Number.isNaN(Date.parse(text));
+}
+
+/**
+ * Decide whether the first row of a CSV is a header: every cell is filled,
+ * unique and non-numeric
+ * 
+ * @param {Array<Array<String>>} rows - Parsed rows
+ * @returns {Boolean} True if the first row looks like column names
+ */
+function detectHeader(rows) {
+    const [first] = rows;
+    if (!first || rows.length < 2) return false;
     
-    console.log(`Found ${imageFiles.length} valid image files out of ${files.length} total files`);
+    const names = first.map(cell => cell.trim());
+    return names.every(name => name && !isNumericValue(name) && !isDateValue(name))
+        && new Set(names).size === names.length;
+}
+
+/**
+ * Work out a column's type and summary statistics
+ * 
+ * @param {String} name - Column name
+ * @param {Array<String>} values - Column cells, one per data row
+ * @returns {Object} { name, type, count, nulls, min, max, mean, distinct, topValues }
+ */
+function describeColumn(name, values) {
+    const present = values.filter(value => !isNullValue(value)).map(value => String(value).trim());
+    const column = { name, type: 'empty', count: present.length, nulls: values.length - present.length };
+    if (present.length === 0) return column;
     
-    if (imageFiles.length === 0) return [];
+    const booleans = new Set(['true', 'false', 'yes', 'no']);
+    if (present.every(isNumericValue)) {
+        // Reduce rather than spread: large columns would overflow the call stack
+        const numbers = present.map(Number);
+        column.type = 'number';
+        column.min = numbers.reduce((min, n) => Math.min(min, n), Infinity);
+        column.max = numbers.reduce((max, n) => Math.max(max, n), -Infinity);
+        column.mean = Number((numbers.reduce((sum, n) => sum + n, 0) / numbers.length).toFixed(4));
+    } else if (present.every(value => booleans.has(value.toLowerCase()))) {
+        column.type = 'boolean';
+    } else if (present.every(isDateValue)) {
+        const times = present.map(value => Date.parse(value));
+        let minIndex = 0;
+        let maxIndex = 0;
+        times.forEach((time, i) => {
+            if (time < times[minIndex]) minIndex = i;
+            if (time > times[maxIndex]) maxIndex = i;
+        });
+        column.type = 'date';
+        column.min = present[minIndex];
+        column.max = present[maxIndex];
+    } else {
+        column.type = 'string';
+    }
     
-    // For Claude, use the direct implementation which has more debugging
-    if (targetModel.includes('claude')) {
-        return await prepareClaudeImages(imageFiles);
+    // Distinct and most frequent values (not useful for continuous numbers)
+    const frequencies = new Map();
+    for (const value of present) frequencies.set(value, (frequencies.get(value) || 0) + 1);
+    column.distinct = frequencies.size;
+    if (column.type !== 'number' || frequencies.size <= CSV_TOP_VALUES * 2) {
+        column.topValues = [...frequencies.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, CSV_TOP_VALUES)
+            .map(([value, count]) => ({ value, count }));
     }
     
+    return column;
+}
+
+// CSV analyses by file path, kept so follow-up questions don't re-analyse the
+// file. Only the statistics and sample rows are kept: a 10 MB CSV's parsed rows
+// take many times that in memory, so requested row ranges re-read the file.
+const csvCache = new Map();
+
+/**
+ * Read a CSV and split it into its header and data rows
+ * 
+ * @param {String} filePath - Path to the CSV
+ * @returns {Promise<Object>} { delimiter, hasHeader, header, rows, columnCount }
+ */
+async function parseCsvFile(filePath) {
+    const text = (await fs.promises.readFile(filePath, 'utf8')).replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text.substring(0, 64 * 1024));
+    const parsedRows = parseCsvRows(text, delimiter);
+    const hasHeader = detectHeader(parsedRows);
+    const columnCount = parsedRows.reduce((max, row) => Math.max(max, row.length), 0);
+    
+    const header = hasHeader
+        ? parsedRows[0].map(name => name.trim())
+        : Array.from({ length: columnCount }, (_, i) => `Column ${i + 1}`);
+    const rows = hasHeader ? parsedRows.slice(1) : parsedRows;
+    return { delimiter, hasHeader, header, rows, columnCount };
+}
+
+/**
+ * Parse and analyse a CSV: delimiter, header, column types and statistics.
+ * The analysis (without the full rows) stays cached for follow-up questions.
+ * 
+ * @param {String} filePath - Path to the CSV
+ * @returns {Promise<Object|null>} { delimiter, hasHeader, header, sampleRows, columns, rowCount } or null on failure
+ */
+export async function analyzeCsv(filePath) {
     try {
-        // Process images based on the target model's requirements
-        if (targetModel.includes('gemini')) {
-            // Gemini requires a different format
-            console.log("Processing images for Gemini format");
-            return await Promise.all(imageFiles.map(async (file) => {
-                try {
-                    console.log(`Processing Gemini image: ${file.path}`);
-                    
-                    // Get file stats
-                    const stats = await fs.promises.stat(file.path);
-                    console.log(`File size: ${stats.size} bytes`);
-                    
-                    if (stats.size > 10 * 1024 * 1024) {
-                        console.error(`File too large for Gemini (${stats.size} bytes): ${file.path}`);
-                        return null;
-                    }
-                    
-                    const fileBuffer = await fs.promises.readFile(file.path);
-                    const base64Data = fileBuffer.toString('base64');
-                    
-                    return {
-                        inlineData: {
-                            data: base64Data,
-                            mimeType: file.mimetype
-                        }
-                    };
-                } catch (error) {
-                    console.error(`Error processing image for Gemini: ${file.path}`, error);
-                    return null;
-                }
-            }));
+        if (!fs.existsSync(filePath)) {
+            console.error(`CSV doesn't exist: ${filePath}`);
+            return null;
+        }
+        
+        const stats = await fs.promises.stat(filePath);
+        if (stats.size > CSV_MAX_BYTES) {
+            console.warn(`CSV too large to analyse (${stats.size} bytes): ${filePath}`);
+            return null;
+        }
+        
+        const cached = csvCache.get(filePath);
+        if (cached && cached.mtimeMs === stats.mtimeMs) {
+            return cached.analysis;
+        }
+        
+        const { delimiter, hasHeader, header, rows, columnCount } = await parseCsvFile(filePath);
+        const columns = Array.from({ length: columnCount }, (_, i) =>
+            describeColumn(header[i] || `Column ${i + 1}`, rows.map(row => row[i]))
+        );
+        
+        const analysis = {
+            delimiter,
+            hasHeader,
+            header,
+            sampleRows: rows.slice(0, CSV_SAMPLE_ROWS),
+            columns,
+            rowCount: rows.length
+        };
+        
+        // Keep the most recently used CSVs only
+        csvCache.delete(filePath);
+        csvCache.set(filePath, { mtimeMs: stats.mtimeMs, analysis });
+        if (csvCache.size > CSV_CACHE_SIZE) {
+            csvCache.delete(csvCache.keys().next().value);
+        }
+        
+        console.log(`Analysed CSV with ${rows.length} rows and ${columnCount} columns: ${filePath}`);
+        return analysis;
+    } catch (error) {
+        console.error(`Error analysing CSV ${filePath}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the data rows a CSV analysis will show: the cached sample, or for a
+ * requested range, those rows re-read from the file
+ * 
+ * @param {String} filePath - Path to the CSV
+ * @param {Object} csv - Result of analyzeCsv
+ * @param {Number} firstRow - First data row (numbered from 1)
+ * @param {Number} lastRow - Last data row
+ * @returns {Promise<Array<Array<String>>>} Cells of rows firstRow-lastRow
+ */
+async function loadCsvRows(filePath, csv, firstRow, lastRow) {
+    if (lastRow <= csv.sampleRows.length) {
+        return csv.sampleRows.slice(firstRow - 1, lastRow);
+    }
+    
+    // analyzeCsv has just checked the cached analysis against the file's mtime
+    const { rows } = await parseCsvFile(filePath);
+    return rows.slice(firstRow - 1, lastRow);
+}
+
+/**
+ * Render a CSV analysis as a schema with statistics plus a sample (or the
+ * requested rows), instead of the raw file
+ * 
+ * @param {String} filePath - Path to the CSV, for reading requested rows
+ * @param {String} fileName - Original file name
+ * @param {Object} csv - Result of analyzeCsv
+ * @param {Object|null} range - Requested { startRow, endRow } from parseSpreadsheetRange
+ * @returns {Promise<String>} Prompt text describing the CSV
+ */
+async function renderCsvAnalysis(filePath, fileName, csv, range) {
+    const delimiterName = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' }[csv.delimiter];
+    const shownColumns = Math.min(csv.columns.length, SPREADSHEET_MAX_COLUMNS);
+    const formatStat = (value) => value === undefined ? '' : String(value);
+    
+    const schema = [
+        '| Column | Type | Count | Nulls | Min | Max | Mean | Top values |',
+        '| --- | --- | --- | --- | --- | --- | --- | --- |',
+        ...csv.columns.slice(0, shownColumns).map(column => {
+            const topValues = (column.topValues || []).map(({ value, count }) => `${value} (${count})`).join(', ');
+            return `| ${[column.name, column.type, column.count, column.nulls, formatStat(column.min), formatStat(column.max), formatStat(column.mean), topValues]
+                .map(cell => String(cell).replace(/\|/g, '\\|')).join(' | ')} |`;
+        })
+    ].join('\n');
+    
+    // Data rows are numbered from 1, not counting the header
+    const firstRow = range?.startRow || 1;
+    const maxRows = range?.startRow ? SPREADSHEET_MAX_RANGE_ROWS : CSV_SAMPLE_ROWS;
+    const lastRow = Math.min(range?.endRow || csv.rowCount, firstRow + maxRows - 1, csv.rowCount);
+    const rowCells = firstRow <= lastRow ? await loadCsvRows(filePath, csv, firstRow, lastRow) : [];
+    const rows = [];
+    let totalChars = 0;
+    for (let num = firstRow; num <= lastRow; num++) {
+        const cells = rowCells[num - firstRow];
+        totalChars += cells.reduce((total, cell) => total + cell.length + 3, 0);
+        if (totalChars > SPREADSHEET_MAX_CHARS) break;
+        rows.push({ num, cells });
+    }
+    
+    const notes = [`${csv.rowCount} data rows × ${csv.columns.length} columns, ${delimiterName}-delimited, ${csv.hasHeader ? 'with a header row' : 'no header row detected'}.`];
+    if (shownColumns < csv.columns.length) {
+        notes.push(`Only the first ${shownColumns} columns are shown.`);
+    }
+    
+    const rowsTitle = range?.startRow ? 'Requested rows' : 'Sample rows';
+    const rowsText = rows.length > 0
+        ? `${rowsTitle} ${rows[0].num}-${rows[rows.length - 1].num} (data rows are numbered from 1):\n${renderTable(csv.header, rows, shownColumns)}`
+        : `[No rows in the requested range]`;
+    
+    const more = rows.length > 0 && rows[rows.length - 1].num < csv.rowCount
+        ? `\n\nThe full data is kept on the server; ask for e.g. "rows ${rows[rows.length - 1].num + 1}-${Math.min(rows[rows.length - 1].num + SPREADSHEET_PREVIEW_ROWS, csv.rowCount)}" to see more.`
+        : '';
+    
+    return `Content of ${fileName} (CSV analysis):\n${notes.join(' ')}\n\nSchema and statistics:\n${schema}\n\n${rowsText}${more}`;
+}
+
+/**
+ * Extract text from a PDF, page by page, within size and page limits
+ * 
+ * @param {String} filePath - Path to the PDF
+ * @returns {Promise<Object|null>} { pages: [{ num, text }], totalPages, truncated } or null on failure
+ */
+export async function extractPdfText(filePath) {
+    let parser = null;
+    try {
+        if (!fs.existsSync(filePath)) {
+            console.error(`PDF doesn't exist: ${filePath}`);
+            return null;
         }
-        else if (targetModel.includes('grok')) {
-            // Process for Grok (similar to OpenAI)
-            console.log("Processing images for Grok format");
-            return await Promise.all(imageFiles.map(async (file) => {
-                try {
-                    console.log(`Processing Grok image: ${file.path}`);
-                    
-                    // Get file stats
-                    const stats = await fs.promises.stat(file.path);
-                    console.log(`File size: ${stats.size} bytes`);
-                    
-                    if (stats.size > 20 * 1024 * 1024) {
-                        console.error(`File too large for Grok (${stats.size} bytes): ${file.path}`);
-                        return null;
-                    }
-                    
-                    const dataUrl = await fileToDataURL(file.path, file.mimetype);
-                    if (!dataUrl) return null;
-                    
-                    console.log(`Successfully created dataURL for Grok, length: ${dataUrl.length}`);
-                    
-                    return {
-                        type: "image_url",
-                        image_url: { url: dataUrl }
-                    };
-                } catch (error) {
-                    console.error(`Error processing image for Grok: ${file.path}`, error);
-                    return null;
+        
+        const stats = await fs.promises.stat(filePath);
+        if (stats.size > PDF_MAX_BYTES) {
+            console.warn(`PDF too large for text extraction (${stats.size} bytes): ${filePath}`);
+            return null;
+        }
+        
+        const data = await fs.promises.readFile(filePath);
+        parser = new PDFParse({ data });
+        const result = await parser.getText({ first: PDF_MAX_PAGES });
+        
+        // Keep whole pages until the character budget is used up
+        const pages = [];
+        let totalChars = 0;
+        let truncated = result.total > PDF_MAX_PAGES;
+        for (const page of result.pages) {
+            const text = (page.text || '').trim();
+            if (totalChars + text.length > PDF_MAX_CHARS) {
+                const remaining = PDF_MAX_CHARS - totalChars;
+                if (remaining > 0 && pages.length === 0) {
+                    pages.push({ num: page.num, text: text.substring(0, remaining) });
                 }
-            }));
+                truncated = true;
+                break;
+            }
+            pages.push({ num: page.num, text });
+            totalChars += text.length;
+        }
+        
+        console.log(`Extracted ${pages.length} of ${result.total} PDF pages (${totalChars} chars): ${filePath}`);
+        return { pages, totalPages: result.total, truncated };
+    } catch (error) {
+        console.error(`Error extracting PDF text ${filePath}:`, error);
+        return null;
+    } finally {
+        if (parser) await parser.destroy().catch(() => {});
+    }
+}
+
+/**
+ * Extract a document's text for inlining into the prompt
+ * 
+ * @param {Object} file - Uploaded file object
+ * @param {Object} [options] - Extraction options
+ * @param {Object} [options.spreadsheetRange] - Sheet and row range from parseSpreadsheetRange
+ * @returns {Promise<String|null>} Labelled document text, or null if the format isn't supported
+ */
+export async function extractDocumentText(file, options = {}) {
+    if (isCsvFile(file)) {
+        const csv = await analyzeCsv(file.path);
+        if (csv) return await renderCsvAnalysis(file.path, file.originalname, csv, options.spreadsheetRange);
+        // Fall back to inlining the raw text below
+    }
+    
+    if (isTextFile(file)) {
+        const fileContent = await readFileContent(file.path);
+        return fileContent ? `Content of ${file.originalname}:\n\`\`\`\n${fileContent}\n\`\`\`` : null;
+    }
+    
+    if (isPdfFile(file)) {
+        const pdf = await extractPdfText(file.path);
+        if (!pdf) return null;
+        
+        const pageText = pdf.pages
+            .filter(page => page.text)
+            .map(page => `--- Page ${page.num} ---\n${page.text}`)
+            .join('\n\n');
+        
+        if (!pageText) {
+            return `[No extractable text in ${file.originalname} - it may contain only scanned images]`;
         }
-        else {
-            // Default format for OpenAI models
-            console.log("Processing images for OpenAI format");
-            return await Promise.all(imageFiles.map(async (file) => {
-                try {
-                    console.log(`Processing OpenAI image: ${file.path}`);
-                    
-                    // Get file stats
-                    const stats = await fs.promises.stat(file.path);
-                    console.log(`File size: ${stats.size} bytes`);
-                    
-                    // Check size limit (OpenAI has a 20MB limit per request)
-                    if (stats.size > 20 * 1024 * 1024) {
-                        console.error(`File too large for OpenAI (${stats.size} bytes): ${file.path}`);
-                        return null;
-                    }
-                    
-                    const dataUrl = await fileToDataURL(file.path, file.mimetype);
-                    if (!dataUrl) return null;
-                    
-                    console.log(`Successfully created dataURL for OpenAI, length: ${dataUrl.length}`);
-                    
-                    return {
-                        type: "image_url",
-                        image_url: { url: dataUrl }
-                    };
-                } catch (error) {
-                    console.error(`Error processing image for OpenAI: ${file.path}`, error);
-                    return null;
+        
+        const lastPage = pdf.pages[pdf.pages.length - 1].num;
+        const range = `pages 1-${lastPage} of ${pdf.totalPages}${pdf.truncated ? ', truncated' : ''}`;
+        return `Content of ${file.originalname} (${range}):\n\`\`\`\n${pageText}\n\`\`\``;
+    }
+    
+    if (isSpreadsheetFile(file)) {
+        const workbook = await extractSpreadsheet(file.path, options.spreadsheetRange);
+        if (!workbook) return null;
+        
+        if (workbook.missingSheet != null) {
+            const available = workbook.sheetNames.map((name, i) => `${i + 1} "${name}"`).join(', ');
+            return `[${file.originalname} has no sheet ${workbook.missingSheet}. Available sheets: ${available}]`;
+        }
+        
+        const sheetCount = `${workbook.sheetNames.length} sheet${workbook.sheetNames.length === 1 ? '' : 's'}`;
+        const truncatedNote = workbook.truncated ? '\n\n... [Spreadsheet truncated due to size] ...' : '';
+        return `Content of ${file.originalname} (spreadsheet, ${sheetCount}):\n\n${workbook.sheets.map(renderSheet).join('\n\n')}${truncatedNote}`;
+    }
+    
+    if (isDocxFile(file)) {
+        const doc = await extractDocxText(file.path);
+        if (!doc) return null;
+        if (doc.blocks.length === 0) return `[No extractable text in ${file.originalname}]`;
+        
+        const truncatedNote = doc.truncated ? '\n\n... [Document truncated due to size] ...' : '';
+        return `Content of ${file.originalname} (Word document):\n\n${doc.blocks.join('\n\n')}${truncatedNote}`;
+    }
+    
+    if (isPptxFile(file)) {
+        const deck = await extractPptxText(file.path);
+        if (!deck) return null;
+        
+        const slidesText = deck.slides.map(slide => {
+            const parts = [`--- Slide ${slide.num}${slide.title ? `: ${slide.title}` : ''} ---`];
+            if (slide.text) parts.push(slide.text);
+            if (slide.notes) parts.push(`Speaker notes:\n${slide.notes}`);
+            return parts.join('\n');
+        }).join('\n\n');
+        
+        const range = `slides 1-${deck.slides.length} of ${deck.totalSlides}${deck.truncated ? ', truncated' : ''}`;
+        return `Content of ${file.originalname} (presentation, ${range}):\n\n${slidesText}`;
+    }
+    
+    return null;
+}
+
+/**
+ * Prepare documents (PDFs) in a model's native format
+ * 
+ * @param {Array} files - PDF files to process
+ * @param {String} targetModel - The AI model ("claude", "gemini")
+ * @returns {Promise<Array>} Document content parts in the format required by the model
+ */
+export async function prepareDocumentsForModel(files, targetModel) {
+    const pdfFiles = (files || []).filter(file => isPdfFile(file) && fs.existsSync(file.path));
+    
+    return Promise.all(pdfFiles.map(async (file) => {
+        try {
+            const stats = await fs.promises.stat(file.path);
+            if (stats.size > PDF_MAX_BYTES) {
+                console.error(`PDF too large for ${targetModel} (${stats.size} bytes): ${file.path}`);
+                return null;
+            }
+            
+            const base64Data = (await fs.promises.readFile(file.path)).toString('base64');
+            
+            if (targetModel.includes('gemini')) {
+                return { inlineData: { data: base64Data, mimeType: 'application/pdf' } };
+            }
+            
+            return {
+                type: "document",
+                source: { type: "base64", media_type: "application/pdf", data: base64Data }
+            };
+        } catch (error) {
+            console.error(`Error preparing PDF for ${targetModel}: ${file.path}`, error);
+            return null;
+        }
+    }));
+}
+
+/**
+ * Describe an attachment by name, type and size
+ * 
+ * @param {Object} file - Uploaded file object
+ * @returns {String} One-line description
+ */
+function describeFile(file) {
+    return `- ${file.originalname} (${file.mimetype}, ${(file.size / 1024).toFixed(2)} KB)`;
+}
+
+/**
+ * Build the prompt text describing non-image attachments, inlining the
+ * content of text files and the extracted text of documents
+ * 
+ * @param {Array} files - Non-image uploaded files to inline
+ * @param {Array} nativeDocuments - Documents sent to the model in its native format instead
+ * @param {Object} [options] - Extraction options passed to extractDocumentText
+ * @returns {Promise<String>} Attachment text to append to the user's message
+ */
+export async function buildAttachmentsText(files, nativeDocuments = [], options = {}) {
+    files = files || [];
+    if (files.length === 0 && nativeDocuments.length === 0) return "";
+    
+    try {
+        const filesInfo = await Promise.all(files.map(async (file) => {
+            let fileInfo = describeFile(file);
+            try {
+                const documentText = await extractDocumentText(file, options);
+                if (documentText) {
+                    fileInfo += `\n\n${documentText}`;
+                } else if (!isTextFile(file)) {
+                    fileInfo += "\n[Binary file]";
                 }
-            }));
+            } catch (err) {
+                console.error(`Error reading file ${file.path}:`, err);
+            }
+            return fileInfo;
+        }));
+        
+        for (const file of nativeDocuments) {
+            filesInfo.push(`${describeFile(file)}\n[Attached as a document]`);
         }
+        
+        return `I've attached the following text-based files:\n${filesInfo.join('\n\n')}\n\n`;
     } catch (error) {
-        console.error("Error preparing images:", error);
-        return [];
+        console.error("Error processing text files:", error);
+        return "I've attached some text files, but they couldn't be processed properly.";
     }
-}
\ No newline at end of file
+}
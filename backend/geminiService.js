@@ -1,5 +1,7 @@
 import config from './config/env.js';
-import fs from 'fs';
+import { registerProvider } from './providerRegistry.js';
+import { prepareImagesForModel, prepareDocumentsForModel } from './fileUtils.js';
+import { fromGeminiUsage } from './tokenUsage.js';
 
 // Get API key from config
 const GEMINI_API_KEY = config.gemini.apiKey;
@@ -32,51 +34,201 @@ function getCurrentGeminiModel(modelName) {
 }
 
 /**
- * Process images for Gemini API
+ * Convert a message's content into Gemini content parts
  * 
- * @param {Array} imageFiles - Array of image files
- * @returns {Promise<Array>} Array of formatted image objects for Gemini
+ * @param {string|Array} content - Message content (plain text or content parts)
+ * @returns {Array} Array of Gemini parts
  */
-async function processImagesForGemini(imageFiles) {
-  if (!imageFiles || imageFiles.length === 0) return [];
+function contentToGeminiParts(content) {
+  if (typeof content === 'string') {
+    return content ? [{ text: content }] : [];
+  }
   
-  try {
-    return await Promise.all(imageFiles.map(async (file) => {
-      try {
-        console.log(`Processing Gemini image: ${file.path}`);
-        // Read the file data
-        const fileBuffer = await fs.promises.readFile(file.path);
-        const base64Data = fileBuffer.toString('base64');
-        
-        // Return in Gemini's format
-        return {
-          inlineData: {
-            data: base64Data,
-            mimeType: file.mimetype
-          }
-        };
-      } catch (error) {
-        console.error(`Error processing image for Gemini: ${file.path}`, error);
-        return null;
-      }
-    }));
-  } catch (error) {
-    console.error("Error processing images for Gemini:", error);
-    return [];
+  if (!Array.isArray(content)) return [];
+  
+  const parts = [];
+  for (const part of content) {
+    if (!part) continue;
+    
+    // Text parts
+    if (part.type === "text" && part.text) {
+      parts.push({ text: part.text });
+    }
+    // Images already in Gemini format
+    else if (part.inlineData) {
+      parts.push(part);
+    }
+    // Convert Claude-style base64 image sources
+    else if (part.type === "image" && part.source?.type === "base64") {
+      parts.push({
+        inlineData: {
+          data: part.source.data,
+          mimeType: part.source.media_type
+        }
+      });
+    }
+    // Convert OpenAI-style base64 data URLs
+    else if (part.type === "image_url" && part.image_url?.url?.startsWith('data:')) {
+      const [header, base64Data] = part.image_url.url.split(',');
+      parts.push({
+        inlineData: {
+          data: base64Data,
+          mimeType: header.split(';')[0].split(':')[1]
+        }
+      });
+    }
   }
+  
+  return parts;
 }
 
 /**
- * Generates a response from the Gemini API (non-streaming)
+ * Formats the conversation history for Gemini API
  * 
- * @param {string} userContent - The user's message
+ * System messages become the system instruction, assistant turns use the
+ * "model" role, and consecutive turns from the same role are merged because
+ * Gemini expects user and model turns to alternate.
+ * 
+ * @param {Array} messages - Messages in OpenAI-like format
+ * @returns {Object} Gemini contents and optional system instruction
+ */
+function formatMessagesForGemini(messages) {
+  const systemTexts = [];
+  const contents = [];
+  
+  for (const msg of messages || []) {
+    if (msg.role === "system") {
+      const text = typeof msg.content === 'string'
+        ? msg.content
+        : contentToGeminiParts(msg.content).map(part => part.text).filter(Boolean).join('\n');
+      if (text) systemTexts.push(text);
+      continue;
+    }
+    
+    if (msg.role !== "user" && msg.role !== "assistant") continue;
+    
+    const role = msg.role === "assistant" ? "model" : "user";
+    const parts = contentToGeminiParts(msg.content);
+    if (parts.length === 0) continue;
+    
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+  
+  // Gemini requires the conversation to start with a user turn
+  while (contents.length > 0 && contents[0].role !== "user") {
+    contents.shift();
+  }
+  
+  return {
+    contents,
+    systemInstruction: systemTexts.length > 0
+      ? { parts: [{ text: systemTexts.join('\n\n') }] }
+      : null
+  };
+}
+
+// Finish reasons that mean Gemini withheld or cut off the answer
+const GEMINI_BLOCKED_FINISH_REASONS = {
+  SAFETY: "Response blocked by Gemini safety filters",
+  RECITATION: "Response blocked because it recited protected content",
+  BLOCKLIST: "Response blocked because it contained forbidden terms",
+  PROHIBITED_CONTENT: "Response blocked because it contained prohibited content",
+  SPII: "Response blocked because it contained sensitive personal information"
+};
+
+/**
+ * Build the Gemini request for a conversation
+ * 
+ * @param {Array} messages - Array of conversation messages
  * @param {string} modelName - The Gemini model to use
- * @param {Array} imageFiles - Optional array of image files
- * @returns {Promise<string>} - Response text from Gemini
+ * @returns {Object} The API model name and request payload
  */
-export async function generateGeminiResponse(userContent, modelName, imageFiles = []) {
+function buildGeminiRequest(messages, modelName) {
   const geminiModel = getCurrentGeminiModel(modelName);
-  console.log(`🤖 Using Gemini model: ${geminiModel} (requested: ${modelName})`);
+  
+  const { contents, systemInstruction } = formatMessagesForGemini(messages);
+  if (contents.length === 0) {
+    throw new Error("No user message to send to Gemini");
+  }
+  
+  // Determine which model to use - use vision model if images are present
+  const hasImages = contents.some(content => content.parts.some(part => part.inlineData));
+  
+  // For 2.0 models, we don't need to switch to vision-specific model
+  // Only use gemini-pro-vision for the older generation if images are present
+  let apiModel = geminiModel;
+  if (hasImages && !geminiModel.includes('2.0') && !geminiModel.includes('gemini-pro-vision')) {
+    apiModel = "gemini-pro-vision";
+  }
+  
+  console.log(`Using Gemini API model: ${apiModel} (requested: ${modelName}, has images: ${hasImages})`);
+  
+  // Create the request payload
+  const payload = {
+    contents,
+    generationConfig: {
+      temperature: 0.7,
+      maxOutputTokens: 1024
+    }
+  };
+  
+  // Add system instruction if provided
+  if (systemInstruction) {
+    payload.systemInstruction = systemInstruction;
+  }
+  
+  // Log payload for debugging
+  console.log("Gemini payload structure:", 
+              JSON.stringify({
+                model: apiModel,
+                turns: contents.length,
+                hasSystemInstruction: !!systemInstruction,
+                hasImages: hasImages
+              }));
+  
+  return { apiModel, payload };
+}
+
+/**
+ * Explain why Gemini blocked a prompt or response, if it did
+ * 
+ * @param {Object} data - A generateContent response or stream event
+ * @returns {string|null} Human readable block reason, or null if not blocked
+ */
+function getGeminiBlockReason(data) {
+  if (data?.promptFeedback?.blockReason) {
+    return `Prompt blocked by Gemini (${data.promptFeedback.blockReason})`;
+  }
+  
+  const finishReason = data?.candidates?.[0]?.finishReason;
+  return GEMINI_BLOCKED_FINISH_REASONS[finishReason] || null;
+}
+
+/**
+ * Extract the text of the first candidate in a Gemini response
+ * 
+ * @param {Object} data - A generateContent response or stream event
+ * @returns {string} Concatenated text parts (empty if none)
+ */
+function getGeminiText(data) {
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  return parts.map(part => part.text || '').join('');
+}
+
+/**
+ * Generates a response from the Gemini API (non-streaming)
+ * 
+ * @param {Array} messages - Array of conversation messages
+ * @param {string} modelName - The Gemini model to use
+ * @returns {Promise<Object>} - { text, usage } with the response text and token usage
+ */
+export async function generateGeminiResponse(messages, modelName) {
+  console.log(`🤖 Using Gemini model: ${getCurrentGeminiModel(modelName)} (requested: ${modelName})`);
   
   // Check API key
   if (!isGeminiConfigured()) {
@@ -85,69 +237,16 @@ export async function generateGeminiResponse(userContent, modelName, imageFiles
   }
   
   try {
-    // Log the request for debugging
-    console.log("📤 Sending to Gemini API:", userContent?.substring(0, 100) + (userContent?.length > 100 ? "..." : ""));
-    console.log(`📤 Image files to process: ${imageFiles?.length || 0}`);
-    
-    // Determine which model to use - use vision model if images are present
-    const hasImages = imageFiles && imageFiles.length > 0;
-    
-    // For 2.0 models, we don't need to switch to vision-specific model
-    // Only use gemini-pro-vision for the older generation if images are present
-    let apiModel = geminiModel;
-    if (hasImages && !geminiModel.includes('2.0') && !geminiModel.includes('gemini-pro-vision')) {
-      apiModel = "gemini-pro-vision";
-    }
-    
-    console.log(`Using Gemini API model: ${apiModel} (has images: ${hasImages})`);
-    
-    // IMPORTANT: Using the correct endpoint format
-    const geminiApiUrl = `https://generativelanguage.googleapis.com/v1/models/${apiModel}:generateContent?key=${GEMINI_API_KEY}`;
-    console.log(`Using Gemini API URL: ${geminiApiUrl}`);
-    
-    // Create the request payload
-    const geminiPayload = {
-      contents: [
-        {
-          parts: []
-        }
-      ],
-      generationConfig: {
-        temperature: 0.7,
-        maxOutputTokens: 1024
-      }
-    };
-    
-    // Add user text if provided
-    if (userContent) {
-      geminiPayload.contents[0].parts.push({ text: userContent });
-    }
-    
-    // Add images if provided
-    if (hasImages) {
-      const processedImages = await processImagesForGemini(imageFiles);
-      const validImages = processedImages.filter(img => img !== null);
-      
-      if (validImages.length > 0) {
-        // Add images to the parts array
-        geminiPayload.contents[0].parts.push(...validImages);
-        console.log(`Added ${validImages.length} images to Gemini request`);
-      }
-    }
+    const { apiModel, payload } = buildGeminiRequest(messages, modelName);
     
-    // Log payload for debugging
-    console.log("Gemini payload structure:", 
-                JSON.stringify({
-                  model: apiModel,
-                  contentParts: geminiPayload.contents[0].parts.length,
-                  hasImages: hasImages
-                }));
+    // The v1beta endpoint is required for systemInstruction support
+    const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${apiModel}:generateContent?key=${GEMINI_API_KEY}`;
     
     // Send the request to Gemini API
     const geminiResponse = await fetch(geminiApiUrl, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(geminiPayload)
+      body: JSON.stringify(payload)
     });
     
     // Log response status
@@ -163,17 +262,16 @@ export async function generateGeminiResponse(userContent, modelName, imageFiles
     // Parse the JSON response
     const geminiData = await geminiResponse.json();
     
-    // Extract the text from the response with better error handling
-    let botReply = "Error processing Gemini response.";
-    
-    if (geminiData?.candidates && geminiData.candidates.length > 0) {
-      const candidate = geminiData.candidates[0];
-      if (candidate.content && candidate.content.parts && candidate.content.parts.length > 0) {
-        botReply = candidate.content.parts[0].text || botReply;
-      }
+    // Surface safety blocks instead of returning an empty reply
+    const blockReason = getGeminiBlockReason(geminiData);
+    if (blockReason) {
+      throw new Error(blockReason);
     }
     
-    return botReply;
+    return {
+      text: getGeminiText(geminiData) || "Error processing Gemini response.",
+      usage: fromGeminiUsage(geminiData.usageMetadata, geminiData.modelVersion || apiModel)
+    };
   } catch (error) {
     console.error("Gemini API Error:", error);
     throw error;
@@ -181,30 +279,117 @@ export async function generateGeminiResponse(userContent, modelName, imageFiles
 }
 
 /**
- * Handles a streaming request for Gemini by simulating streaming
+ * Generates a streaming response from the Gemini API
  * 
  * @param {object} res - Express response object for SSE
- * @param {string} userContent - User's message
- * @param {string} selectedModel - Gemini model to use
- * @param {Array} imageFiles - Optional array of image files
+ * @param {Array} messages - Array of conversation messages
+ * @param {string} modelName - The Gemini model to use
+ * @param {Function} onComplete - Callback receiving the complete response and { usage }
  */
-export async function handleGeminiStreamingRequest(res, userContent, selectedModel, imageFiles = []) {
+export async function generateGeminiStreamingResponse(res, messages, modelName, onComplete) {
+  console.log(`🤖 Streaming with Gemini model: ${getCurrentGeminiModel(modelName)} (requested: ${modelName})`);
+  
+  if (!isGeminiConfigured()) {
+    console.error("🚨 Missing valid Gemini API key");
+    res.write(`data: ${JSON.stringify({ error: "Gemini API key not configured. Please contact administrator." })}\n\n`);
+    res.end();
+    return;
+  }
+  
   try {
-    console.log("Starting Gemini streaming request with", imageFiles?.length || 0, "images");
-    // Generate the complete response first, passing any image files
-    const botReply = await generateGeminiResponse(userContent, selectedModel, imageFiles);
+    const { apiModel, payload } = buildGeminiRequest(messages, modelName);
     
-    // Send the full reply as one SSE message
-    res.write(`data: ${JSON.stringify({ chunk: botReply })}\n\n`);
+    // alt=sse makes streamGenerateContent return server-sent events instead of a JSON array
+    const geminiApiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${apiModel}:streamGenerateContent?alt=sse&key=${GEMINI_API_KEY}`;
     
-    // End the SSE stream
-    res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
+    const response = await fetch(geminiApiUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload)
+    });
+    
+    // Handle non-200 responses
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.error("Gemini API error:", errorText);
+      throw new Error(`Gemini API responded with ${response.status}: ${errorText}`);
+    }
+    
+    // Process the streaming response
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let completeResponse = '';
+    let buffer = '';
+    let blockReason = null;
+    let finishReason = null;
+    let usage = null;
+    
+    while (!blockReason) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      
+      // Events can be split across network chunks, so keep the trailing partial line
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      
+      for (const line of lines) {
+        if (!line.startsWith('data: ')) continue;
+        
+        let data;
+        try {
+          data = JSON.parse(line.substring(6));
+        } catch (e) {
+          console.error('Error parsing Gemini stream data:', e, line);
+          continue;
+        }
+        
+        const content = getGeminiText(data);
+        if (content) {
+          res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
+          completeResponse += content;
+        }
+        
+        // Each event carries the running totals, so the last one has the final usage
+        if (data.usageMetadata) {
+          usage = fromGeminiUsage(data.usageMetadata, data.modelVersion || apiModel);
+        }
+        
+        finishReason = data.candidates?.[0]?.finishReason || finishReason;
+        blockReason = getGeminiBlockReason(data);
+        if (blockReason) break;
+      }
+    }
+    
+    if (blockReason) {
+      console.warn(`⚠️ Gemini stream blocked: ${blockReason}`);
+      await reader.cancel().catch(() => {});
+      res.write(`data: ${JSON.stringify({ error: blockReason, finishReason })}\n\n`);
+      res.end();
+      
+      // Keep the text streamed before the block, and record the tokens Gemini billed for it
+      if (typeof onComplete === 'function') {
+        await onComplete(completeResponse, { usage });
+      }
+      return completeResponse;
+    }
+    
+    if (finishReason && finishReason !== 'STOP') {
+      console.warn(`⚠️ Gemini stream finished with reason: ${finishReason}`);
+    }
+    
+    // Signal the end of stream
+    res.write(`data: ${JSON.stringify({ done: true, finishReason })}\n\n`);
     res.end();
     
-    // Return the full response for saving to database
-    return botReply;
+    // Execute callback with the complete response and its token usage
+    if (typeof onComplete === 'function') {
+      await onComplete(completeResponse, { usage });
+    }
+    
+    return completeResponse;
   } catch (error) {
-    console.error("Gemini streaming error:", error);
+    console.error("❌ Gemini Streaming Error:", error);
     res.write(`data: ${JSON.stringify({ error: "Gemini API error: " + error.message })}\n\n`);
     res.end();
     throw error;
@@ -222,12 +407,30 @@ export async function testGeminiConnection() {
   }
   
   try {
-    const response = await generateGeminiResponse(
-      "Hello, can you please reply with a simple test message?", 
-      "gemini-pro"
-    );
-    return { success: true, response };
+    const { text } = await generateGeminiResponse([
+      { role: "user", content: "Hello, can you please reply with a simple test message?" }
+    ], "gemini-pro");
+    return { success: true, response: text };
   } catch (error) {
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// Register Gemini with the provider registry
+registerProvider({
+  id: 'gemini',
+  name: 'Google Gemini',
+  generate: generateGeminiResponse,
+  stream: generateGeminiStreamingResponse,
+  formatImages: (files, sentHashes) => prepareImagesForModel(files, 'gemini', sentHashes),
+  formatDocuments: (files) => prepareDocumentsForModel(files, 'gemini'),
+  isConfigured: isGeminiConfigured,
+  listModels: () => Object.keys(GEMINI_MODEL_MAPPING),
+  capabilities: { vision: true, streaming: true, nativePdf: true },
+  contextWindows: {
+    'gemini-pro-vision': 16384,
+    'gemini-2.0-pro': 2097152
+  },
+  defaultContextWindow: 1048576,
+  maxOutputTokens: 1024
+});
@@ -1,4 +1,7 @@
 import config from './config/env.js';
+import { registerProvider } from './providerRegistry.js';
+import { prepareImagesForModel } from './fileUtils.js';
+import { fromOpenAIUsage } from './tokenUsage.js';
 
 // Get API key from config
 const GROK_API_KEY = config.grok.apiKey;
@@ -34,7 +37,7 @@ function getGrokModelName(modelName) {
  * 
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The Grok model to use
- * @returns {Promise<string>} - Response text from Grok
+ * @returns {Promise<Object>} - { text, usage } with the response text and token usage
  */
 export async function generateGrokResponse(messages, model) {
   const grokModel = getGrokModelName(model);
@@ -80,8 +83,11 @@ export async function generateGrokResponse(messages, model) {
     // Parse the response
     const data = await response.json();
     
-    // Return the generated content
-    return data.choices[0].message.content;
+    // Return the generated content and its token usage
+    return {
+      text: data.choices[0].message.content,
+      usage: fromOpenAIUsage(data.usage, data.model || grokModel)
+    };
   } catch (error) {
     console.error("Grok API Error:", error);
     throw error;
@@ -94,7 +100,7 @@ export async function generateGrokResponse(messages, model) {
  * @param {object} res - Express response object for SSE
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The Grok model to use
- * @param {Function} onComplete - Callback function to execute when streaming is complete
+ * @param {Function} onComplete - Callback receiving the complete response and { usage }
  */
 export async function generateGrokStreamingResponse(res, messages, model, onComplete) {
   const grokModel = getGrokModelName(model);
@@ -121,7 +127,9 @@ export async function generateGrokStreamingResponse(res, messages, model, onComp
       model: grokModel,
       messages: messages,
       max_tokens: 4000,
-      stream: true
+      stream: true,
+      // Adds a final chunk (with no choices) carrying the token usage
+      stream_options: { include_usage: true }
     };
     
     console.log("Grok streaming payload:", JSON.stringify({
@@ -151,16 +159,19 @@ export async function generateGrokStreamingResponse(res, messages, model, onComp
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let completeResponse = '';
+    let buffer = '';
+    let usage = null;
     
     while (true) {
       const { done, value } = await reader.read();
       if (done) break;
       
-      // Decode the chunk
-      const chunk = decoder.decode(value, { stream: true });
+      // Events can be split across network chunks, so keep the trailing partial line
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
       
       // Grok API returns SSE data chunks just like OpenAI
-      const lines = chunk.split('\n');
       for (const line of lines) {
         if (line.startsWith('data: ')) {
           try {
@@ -176,6 +187,10 @@ export async function generateGrokStreamingResponse(res, messages, model, onComp
               res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
               completeResponse += content;
             }
+            
+            if (data.usage) {
+              usage = fromOpenAIUsage(data.usage, data.model || grokModel);
+            }
           } catch (e) {
             console.error('Error parsing Grok stream data:', e, line);
           }
@@ -187,9 +202,9 @@ export async function generateGrokStreamingResponse(res, messages, model, onComp
     res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
     res.end();
     
-    // Execute callback with the complete response
+    // Execute callback with the complete response and its token usage
     if (typeof onComplete === 'function') {
-      await onComplete(completeResponse);
+      await onComplete(completeResponse, { usage });
     }
     
     return completeResponse;
@@ -216,13 +231,28 @@ export async function testGrokConnection() {
     console.log("Testing Grok connection with API key starting with:", 
                 GROK_API_KEY ? GROK_API_KEY.substring(0, 4) + "..." : "undefined");
     
-    const response = await generateGrokResponse([
+    const { text } = await generateGrokResponse([
       { role: "user", content: "Say hello!" }
     ], "grok-2-latest");
     
-    return { success: true, response };
+    return { success: true, response: text };
   } catch (error) {
     console.error("Grok test connection error:", error);
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// Register Grok with the provider registry
+registerProvider({
+  id: 'grok',
+  name: 'xAI Grok',
+  generate: generateGrokResponse,
+  stream: generateGrokStreamingResponse,
+  formatImages: (files, sentHashes) => prepareImagesForModel(files, 'grok', sentHashes),
+  isConfigured: isGrokConfigured,
+  listModels: () => Object.keys(GROK_MODEL_MAPPING),
+  capabilities: { vision: true, streaming: true },
+  contextWindows: { 'grok-1': 8192 },
+  defaultContextWindow: 131072,
+  maxOutputTokens: 4000
+});
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const MB = 1024 * 1024;
+
+// What each provider accepts for image input. Images are scaled down so
+// their long edge fits maxDimension (larger images only cost more tokens),
+// and formats a provider doesn't accept are re-encoded.
+const IMAGE_PROFILES = {
+    claude: { maxDimension: 1568, maxBytes: 5 * MB, formats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+    openai: { maxDimension: 2048, maxBytes: 20 * MB, formats: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+    gemini: { maxDimension: 3072, maxBytes: 20 * MB, formats: ['image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif'] },
+    grok: { maxDimension: 2048, maxBytes: 10 * MB, formats: ['image/jpeg', 'image/png'] }
+};
+
+// Quality for re-encoded JPEG and WebP images, and the fallback when the result is still too large
+const IMAGE_QUALITY = 85;
+const IMAGE_FALLBACK_QUALITY = 70;
+
+// Recently prepared images keyed by content hash and provider, so pinned or
+// re-sent images aren't processed again every turn. The cache is capped by
+// the total size of the prepared images, not their count.
+const IMAGE_CACHE_MAX_BYTES = 100 * MB;
+const imageCache = new Map();
+let imageCacheBytes = 0;
+
+// Output encoders by MIME type
+const ENCODERS = {
+    'image/jpeg': (image, quality) => image.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }),
+    'image/png': (image) => image.png({ compressionLevel: 9 }),
+    'image/webp': (image, quality) => image.webp({ quality }),
+    'image/gif': (image) => image.gif()
+};
+
+/**
+ * Get the image profile for a provider, falling back to OpenAI's limits
+ *
+ * @param {String} targetModel - Provider or model name (e.g. 'claude')
+ * @returns {Object} { maxDimension, maxBytes, formats }
+ */
+function getImageProfile(targetModel) {
+    const name = Object.keys(IMAGE_PROFILES).find(key => targetModel.includes(key)) || 'openai';
+    return IMAGE_PROFILES[name];
+}
+
+/**
+ * Get the content hash of a stored file from its content-addressed storage
+ * key (`<prefix>/<sha256><ext>`), so it needn't be read to be hashed
+ *
+ * @param {Object} file - Image file, optionally with a storageKey
+ * @returns {String|null} Hex SHA-256 digest, or null if the file isn't stored
+ */
+function storedImageHash(file) {
+    if (!file.storageKey) return null;
+    const name = path.posix.basename(file.storageKey, path.posix.extname(file.storageKey));
+    return /^[0-9a-f]{64}$/.test(name) ? name : null;
+}
+
+/**
+ * Add a prepared image to the cache, evicting the least recently used
+ * images until the cache fits its byte budget
+ *
+ * @param {String} cacheKey - Content hash and provider
+ * @param {Object} image - Prepared image from normalizeImage
+ */
+function cacheImage(cacheKey, image) {
+    const cached = imageCache.get(cacheKey);
+    if (cached) {
+        imageCache.delete(cacheKey);
+        imageCacheBytes -= cached.data.length;
+    }
+    if (image.data.length > IMAGE_CACHE_MAX_BYTES) return;
+
+    imageCache.set(cacheKey, image);
+    imageCacheBytes += image.data.length;
+    for (const [key, entry] of imageCache) {
+        if (imageCacheBytes <= IMAGE_CACHE_MAX_BYTES) break;
+        imageCache.delete(key);
+        imageCacheBytes -= entry.data.length;
+    }
+}
+
+/**
+ * Resize and re-encode an image for a provider. Orientation from EXIF is
+ * applied to the pixels, and all metadata (EXIF, GPS, ICC comments) is
+ * dropped, since sharp doesn't copy it unless asked.
+ *
+ * @param {Buffer} buffer - Original image
+ * @param {String} mimetype - Original MIME type
+ * @param {Object} profile - Provider image profile
+ * @returns {Promise<Object|null>} { data, mimetype, width, height } or null if the image can't be used
+ */
+async function normalizeImage(buffer, mimetype, profile) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        // e.g. HEIC when sharp lacks an HEVC decoder; send it as is if the provider reads it
+        if (profile.formats.includes(mimetype) && buffer.length <= profile.maxBytes) {
+            console.warn(`⚠️ Can't decode ${mimetype} image (${error.message}), sending it unchanged`);
+            return { data: buffer, mimetype, width: null, height: null };
+        }
+        console.error(`Can't decode ${mimetype} image:`, error.message);
+        return null;
+    }
+
+    const longEdge = Math.max(metadata.width || 0, metadata.height || 0);
+    const needsResize = longEdge > profile.maxDimension;
+
+    // GIFs carry no EXIF; keep them (and their animation) when they already fit
+    if (mimetype === 'image/gif' && profile.formats.includes(mimetype) && !needsResize && buffer.length <= profile.maxBytes) {
+        return { data: buffer, mimetype, width: metadata.width, height: metadata.height };
+    }
+
+    // Keep the format when the provider accepts it, otherwise use PNG for transparent images and JPEG for the rest
+    let outputType = profile.formats.includes(mimetype) && ENCODERS[mimetype]
+        ? mimetype
+        : (metadata.hasAlpha ? 'image/png' : 'image/jpeg');
+
+    const encode = (type, quality) => ENCODERS[type](
+        sharp(buffer)
+            .rotate()
+            .resize({ width: profile.maxDimension, height: profile.maxDimension, fit: 'inside', withoutEnlargement: true }),
+        quality
+    ).toBuffer({ resolveWithObject: true });
+
+    let { data, info } = await encode(outputType, IMAGE_QUALITY);
+    if (data.length > profile.maxBytes) {
+        outputType = 'image/jpeg';
+        ({ data, info } = await encode(outputType, IMAGE_FALLBACK_QUALITY));
+    }
+    if (data.length > profile.maxBytes) {
+        console.error(`Image still too large after re-encoding (${data.length} bytes)`);
+        return null;
+    }
+
+    return { data, mimetype: outputType, width: info.width, height: info.height };
+}
+
+/**
+ * Prepare image files for a provider: resize, re-encode and strip metadata,
+ * and send identical images (by content hash) only once. Pass the same
+ * sentHashes set for every turn of a chat to send each image once per chat.
+ *
+ * @param {Array} files - Image files with path and mimetype (and storageKey for library files)
+ * @param {String} targetModel - Provider name (e.g. 'claude', 'gemini')
+ * @param {Set<String>} [sentHashes] - Hashes of images already sent with the chat; updated in place
+ * @returns {Promise<Array>} One entry per image not sent before: { file, data, mimetype, hash }, or null for images that failed
+ */
+export async function prepareImages(files, targetModel, sentHashes = new Set()) {
+    const profile = getImageProfile(targetModel);
+    const results = [];
+
+    for (const file of files) {
+        try {
+            // Library files carry their hash in the storage key; uploads are hashed here
+            let hash = storedImageHash(file);
+            let buffer = null;
+            if (!hash) {
+                buffer = await fs.promises.readFile(file.path);
+                hash = crypto.createHash('sha256').update(buffer).digest('hex');
+            }
+            if (sentHashes.has(hash)) {
+                console.log(`Skipping duplicate image ${file.originalname || file.originalName || file.path}`);
+                continue;
+            }
+            sentHashes.add(hash);
+
+            const cacheKey = `${hash}:${targetModel}`;
+            let image = imageCache.get(cacheKey);
+            if (!image) {
+                buffer = buffer || await fs.promises.readFile(file.path);
+                image = await normalizeImage(buffer, file.mimetype, profile);
+                if (!image) {
+                    results.push(null);
+                    continue;
+                }
+                if (image.data.length !== buffer.length || image.mimetype !== file.mimetype) {
+                    console.log(`🖼️ Prepared ${file.originalname || file.originalName || file.path} for ${targetModel}: ${buffer.length} → ${image.data.length} bytes (${image.mimetype}, ${image.width}x${image.height})`);
+                }
+            }
+
+            // Re-adding the entry refreshes its position, so the cache evicts the least recently used images
+            cacheImage(cacheKey, image);
+
+            results.push({ file, data: image.data, mimetype: image.mimetype, hash });
+        } catch (error) {
+            console.error(`Error preparing image ${file.path}:`, error);
+            results.push(null);
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,387 @@
+import fs from 'fs';
+import JSZip from 'jszip';
+
+// Limits for text extracted from Word and PowerPoint files
+const OFFICE_MAX_BYTES = 10 * 1024 * 1024; // 10MB, same as the upload limit
+const OFFICE_MAX_CHARS = 100 * 1024; // Same budget as truncated text files
+// Limits on what an archive inflates to, so a small zip bomb can't exhaust memory
+const OFFICE_MAX_ENTRY_BYTES = 50 * 1024 * 1024; // Any one part (e.g. word/document.xml)
+const OFFICE_MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024; // All parts together
+
+// MIME types of the Office Open XML formats we read
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+/**
+ * Check whether a file is a Word document (.docx)
+ *
+ * @param {Object} file - Uploaded file object or stored file info
+ * @returns {Boolean} True if the file is a .docx
+ */
+export function isDocxFile(file) {
+    if (file?.mimetype === DOCX_MIME_TYPE) return true;
+    return /\.docx$/i.test(file?.originalname || file?.originalName || '');
+}
+
+/**
+ * Check whether a file is a PowerPoint presentation (.pptx)
+ *
+ * @param {Object} file - Uploaded file object or stored file info
+ * @returns {Boolean} True if the file is a .pptx
+ */
+export function isPptxFile(file) {
+    if (file?.mimetype === PPTX_MIME_TYPE) return true;
+    return /\.pptx$/i.test(file?.originalname || file?.originalName || '');
+}
+
+/**
+ * Decode the XML entities used in Office documents
+ *
+ * @param {String} text - Escaped XML text
+ * @returns {String} Plain text
+ */
+function decodeXmlEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collect the text runs of a paragraph, keeping tabs and line breaks
+ *
+ * @param {String} xml - Paragraph XML (<w:p> or <a:p>)
+ * @param {String} ns - Namespace prefix of the text runs ("w" or "a")
+ * @returns {String} Paragraph text
+ */
+function paragraphText(xml, ns) {
+    const pattern = new RegExp(`<${ns}:t(?:\\s[^>]*)?>([\\s\\S]*?)</${ns}:t>|<${ns}:tab\\s*/>|<${ns}:br\\b[^>]*>`, 'g');
+    let text = '';
+    for (const match of xml.matchAll(pattern)) {
+        if (match[1] !== undefined) text += decodeXmlEntities(match[1]);
+        else if (match[0].includes(':tab')) text += '\t';
+        else text += '\n';
+    }
+    return text.trim();
+}
+
+/**
+ * Load an Office file as a zip archive, within the size limits. Archives
+ * whose parts declare more than the uncompressed limits are rejected before
+ * anything is inflated.
+ *
+ * @param {String} filePath - Path to the .docx/.pptx
+ * @returns {Promise<Object|null>} JSZip archive, or null if missing or too large
+ */
+async function loadOfficeArchive(filePath) {
+    if (!fs.existsSync(filePath)) {
+        console.error(`Office document doesn't exist: ${filePath}`);
+        return null;
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > OFFICE_MAX_BYTES) {
+        console.warn(`Office document too large for text extraction (${stats.size} bytes): ${filePath}`);
+        return null;
+    }
+
+    const archive = await JSZip.loadAsync(await fs.promises.readFile(filePath));
+
+    // Sizes from the zip's central directory (JSZip keeps them on each entry's _data)
+    let totalBytes = 0;
+    for (const entry of Object.values(archive.files)) {
+        const size = entry._data?.uncompressedSize || 0;
+        totalBytes += size;
+        if (size > OFFICE_MAX_ENTRY_BYTES || totalBytes > OFFICE_MAX_UNCOMPRESSED_BYTES) {
+            console.warn(`Office document inflates beyond the size limit (${entry.name}: ${size} bytes, ${totalBytes} so far): ${filePath}`);
+            return null;
+        }
+    }
+
+    archive.inflatedBytes = 0;
+    return archive;
+}
+
+/**
+ * Inflate one part of an Office archive as text. The central directory's
+ * sizes can't be trusted, so the bytes actually inflated are counted too and
+ * the read stops once a part, or the archive as a whole, passes its limit.
+ *
+ * @param {Object} archive - Archive from loadOfficeArchive
+ * @param {String} path - Path of the part inside the archive
+ * @returns {Promise<String|undefined>} Part text, or undefined if the part doesn't exist
+ */
+function readArchiveText(archive, path) {
+    const entry = archive.file(path);
+    if (!entry) return Promise.resolve(undefined);
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let entryBytes = 0;
+        const stream = entry.internalStream('uint8array');
+        stream
+            .on('data', (chunk) => {
+                entryBytes += chunk.length;
+                archive.inflatedBytes += chunk.length;
+                if (entryBytes > OFFICE_MAX_ENTRY_BYTES || archive.inflatedBytes > OFFICE_MAX_UNCOMPRESSED_BYTES) {
+                    stream.pause();
+                    reject(new Error(`${path} inflates beyond the size limit`));
+                    return;
+                }
+                chunks.push(chunk);
+            })
+            .on('error', reject)
+            .on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+            .resume();
+    });
+}
+
+// Word elements that can contain one another; tracked so nested ones aren't split
+const DOCX_NESTED_ELEMENTS = 'tbl|tr|tc|p|txbxContent';
+
+/**
+ * Split Word XML into its top-level elements of the given kinds, walking
+ * the tags by depth so a nested table or paragraph stays inside its parent
+ *
+ * @param {String} xml - Word XML to walk
+ * @param {Array<String>} names - Element names to return (without the "w:" prefix)
+ * @returns {Array<Object>} [{ name, xml }] in document order
+ */
+function childElements(xml, names) {
+    const pattern = new RegExp(`<(/?)w:(${DOCX_NESTED_ELEMENTS})\\b[^>]*?(/?)>`, 'g');
+    const children = [];
+    let depth = 0;
+    let start = -1;
+    let name = null;
+
+    for (const match of xml.matchAll(pattern)) {
+        const [tag, closing, tagName, selfClosing] = match;
+        if (closing) {
+            depth = Math.max(0, depth - 1);
+            if (depth === 0 && start !== -1) {
+                children.push({ name, xml: xml.slice(start, match.index + tag.length) });
+                start = -1;
+            }
+        } else if (selfClosing) {
+            if (depth === 0 && names.includes(tagName)) children.push({ name: tagName, xml: tag });
+        } else {
+            if (depth === 0 && names.includes(tagName)) {
+                start = match.index;
+                name = tagName;
+            }
+            depth++;
+        }
+    }
+    return children;
+}
+
+/**
+ * Get the XML between an element's opening and closing tags
+ *
+ * @param {String} xml - Element XML
+ * @returns {String} Inner XML
+ */
+function innerXml(xml) {
+    return xml.slice(xml.indexOf('>') + 1, xml.lastIndexOf('</'));
+}
+
+/**
+ * Render a Word table as a Markdown table
+ *
+ * @param {String} xml - Table XML (<w:tbl>)
+ * @returns {String} Markdown table
+ */
+function renderDocxTable(xml) {
+    // A nested table's text is flattened into the cell that holds it
+    const rows = childElements(innerXml(xml), ['tr']).map(row =>
+        childElements(innerXml(row.xml), ['tc']).map(cell =>
+            [...innerXml(cell.xml).matchAll(/<w:p\b[^>]*>([\s\S]*?)<\/w:p>/g)]
+                .map(([paragraph]) => paragraphText(paragraph, 'w'))
+                .filter(Boolean)
+                .join(' ')
+                .replace(/\|/g, '\\|')
+        )
+    );
+    if (rows.length === 0) return '';
+
+    const columnCount = Math.max(...rows.map(cells => cells.length));
+    const pad = (cells) => Array.from({ length: columnCount }, (_, i) => cells[i] || '');
+    return [
+        `| ${pad(rows[0]).join(' | ')} |`,
+        `| ${Array(columnCount).fill('---').join(' | ')} |`,
+        ...rows.slice(1).map(cells => `| ${pad(cells).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * Extract the text of a Word document in reading order, keeping headings
+ * (as Markdown #), list items and tables
+ *
+ * @param {String} filePath - Path to the .docx
+ * @returns {Promise<Object|null>} { blocks: [String], headings, truncated } or null on failure
+ */
+export async function extractDocxText(filePath) {
+    try {
+        const archive = await loadOfficeArchive(filePath);
+        const documentXml = archive && await readArchiveText(archive, 'word/document.xml');
+        if (!documentXml) return null;
+
+        const body = documentXml.match(/<w:body>([\s\S]*)<\/w:body>/)?.[1] || '';
+        const blocks = [];
+        let headings = 0;
+        let totalChars = 0;
+        let truncated = false;
+
+        // Top-level tables and paragraphs, in document order
+        for (const { name, xml } of childElements(body, ['tbl', 'p'])) {
+            let block;
+            if (name === 'tbl') {
+                block = renderDocxTable(xml);
+            } else {
+                const text = paragraphText(xml, 'w');
+                if (!text) continue;
+
+                const style = xml.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+                const headingLevel = style === 'Title' ? 1 : parseInt(style.match(/^Heading(\d)$/i)?.[1], 10);
+                if (headingLevel) {
+                    block = `${'#'.repeat(Math.min(headingLevel, 6))} ${text}`;
+                    headings++;
+                } else if (xml.includes('<w:numPr>')) {
+                    block = `- ${text}`;
+                } else {
+                    block = text;
+                }
+            }
+
+            if (!block) continue;
+            if (totalChars + block.length > OFFICE_MAX_CHARS) {
+                truncated = true;
+                break;
+            }
+            blocks.push(block);
+            totalChars += block.length;
+        }
+
+        console.log(`Extracted ${blocks.length} blocks (${totalChars} chars) from Word document: ${filePath}`);
+        return { blocks, headings, truncated };
+    } catch (error) {
+        console.error(`Error extracting Word document ${filePath}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Resolve the targets of a part's relationships file
+ *
+ * @param {Object} archive - JSZip archive
+ * @param {String} relsPath - Path of the .rels file
+ * @returns {Promise<Map>} Relationship id → { type, target }
+ */
+async function readRelationships(archive, relsPath) {
+    const xml = await readArchiveText(archive, relsPath);
+    const relationships = new Map();
+    for (const [tag] of (xml || '').matchAll(/<Relationship\b[^>]*>/g)) {
+        const id = tag.match(/\bId="([^"]+)"/)?.[1];
+        const target = tag.match(/\bTarget="([^"]+)"/)?.[1];
+        if (id && target) {
+            relationships.set(id, { type: tag.match(/\bType="([^"]+)"/)?.[1] || '', target });
+        }
+    }
+    return relationships;
+}
+
+/**
+ * Collect the text of a slide or notes part, shape by shape
+ *
+ * @param {String} xml - Slide XML
+ * @param {Array<String>} skipPlaceholders - Placeholder types to leave out (e.g. slide numbers)
+ * @returns {Object} { title, paragraphs: [String] }
+ */
+function slideText(xml, skipPlaceholders = []) {
+    let title = '';
+    const paragraphs = [];
+
+    for (const [shape] of xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>|<p:graphicFrame>[\s\S]*?<\/p:graphicFrame>/g)) {
+        const placeholder = shape.match(/<p:ph\b[^>]*type="([^"]+)"/)?.[1] || '';
+        if (skipPlaceholders.includes(placeholder)) continue;
+
+        const texts = [...shape.matchAll(/<a:p\b[^>]*\/>|<a:p\b[^>]*>[\s\S]*?<\/a:p>/g)]
+            .map(([paragraph]) => paragraphText(paragraph, 'a'))
+            .filter(Boolean);
+        if (texts.length === 0) continue;
+
+        if (!title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+            title = texts.join(' ').replace(/\s*\n\s*/g, ' ');
+        } else {
+            paragraphs.push(...texts);
+        }
+    }
+
+    return { title, paragraphs };
+}
+
+/**
+ * Extract the text and speaker notes of each slide of a presentation, in
+ * presentation order
+ *
+ * @param {String} filePath - Path to the .pptx
+ * @returns {Promise<Object|null>} { slides: [{ num, title, text, notes }], totalSlides, truncated } or null on failure
+ */
+export async function extractPptxText(filePath) {
+    try {
+        const archive = await loadOfficeArchive(filePath);
+        const presentationXml = archive && await readArchiveText(archive, 'ppt/presentation.xml');
+        if (!presentationXml) return null;
+
+        // Slide order comes from presentation.xml; fall back to the slideN.xml numbering
+        const presentationRels = await readRelationships(archive, 'ppt/_rels/presentation.xml.rels');
+        let slidePaths = [...presentationXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+            .map(([, id]) => presentationRels.get(id)?.target)
+            .filter(Boolean)
+            .map(target => `ppt/${target.replace(/^\/?ppt\//, '')}`);
+        if (slidePaths.length === 0) {
+            slidePaths = Object.keys(archive.files)
+                .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+                .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+        }
+
+        const slides = [];
+        let totalChars = 0;
+        let truncated = false;
+        for (const [index, slidePath] of slidePaths.entries()) {
+            const slideXml = await readArchiveText(archive, slidePath);
+            if (!slideXml) continue;
+            const { title, paragraphs } = slideText(slideXml);
+
+            // Speaker notes live in a separate part linked from the slide's relationships
+            const fileName = slidePath.split('/').pop();
+            const slideRels = await readRelationships(archive, slidePath.replace(fileName, `_rels/${fileName}.rels`));
+            const notesTarget = [...slideRels.values()].find(rel => rel.type.endsWith('/notesSlide'))?.target;
+            let notes = '';
+            if (notesTarget) {
+                const notesPath = `ppt/${notesTarget.replace(/^(\.\.\/)+/, '')}`;
+                const notesXml = await readArchiveText(archive, notesPath);
+                if (notesXml) notes = slideText(notesXml, ['sldNum', 'sldImg', 'hdr', 'ftr', 'dt']).paragraphs.join('\n');
+            }
+
+            const slide = { num: index + 1, title, text: paragraphs.join('\n'), notes };
+            const slideChars = title.length + slide.text.length + notes.length;
+            if (totalChars + slideChars > OFFICE_MAX_CHARS) {
+                truncated = true;
+                break;
+            }
+            slides.push(slide);
+            totalChars += slideChars;
+        }
+
+        console.log(`Extracted ${slides.length} of ${slidePaths.length} slides (${totalChars} chars): ${filePath}`);
+        return { slides, totalSlides: slidePaths.length, truncated };
+    } catch (error) {
+        console.error(`Error extracting presentation ${filePath}:`, error);
+        return null;
+    }
+}
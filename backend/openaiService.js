@@ -1,5 +1,8 @@
 import OpenAI from "openai";
 import config from './config/env.js';
+import { registerProvider } from './providerRegistry.js';
+import { prepareImagesForModel } from './fileUtils.js';
+import { fromOpenAIUsage } from './tokenUsage.js';
 
 // Get API key from config
 const OPENAI_API_KEY = config.openai.apiKey;
@@ -7,6 +10,24 @@ const OPENAI_API_KEY = config.openai.apiKey;
 // Initialize OpenAI client
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 
+// OpenAI models accepted by the chat endpoints
+const OPENAI_MODELS = [
+  'gpt-3.5-turbo',
+  'gpt-4',
+  'gpt-4-turbo',
+  'gpt-4o',
+  'gpt-4o-mini'
+];
+
+// Context window size (tokens) for each model
+const OPENAI_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000
+};
+
 /**
  * Checks if a valid OpenAI API key is configured
  * @returns {boolean} True if API key is properly configured
@@ -20,7 +41,7 @@ export function isOpenAIConfigured() {
  * 
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The OpenAI model to use
- * @returns {Promise<string>} - Response text from OpenAI
+ * @returns {Promise<Object>} - { text, usage } with the response text and token usage
  */
 export async function generateOpenAIResponse(messages, model) {
   console.log(`🤖 Using OpenAI model: ${model}`);
@@ -37,7 +58,10 @@ export async function generateOpenAIResponse(messages, model) {
       max_tokens: 3000
     });
     
-    return response.choices[0].message.content;
+    return {
+      text: response.choices[0].message.content,
+      usage: fromOpenAIUsage(response.usage, response.model || model)
+    };
   } catch (error) {
     console.error("OpenAI API Error:", error);
     throw error;
@@ -50,7 +74,7 @@ export async function generateOpenAIResponse(messages, model) {
  * @param {object} res - Express response object for SSE
  * @param {Array} messages - Array of conversation messages
  * @param {string} model - The OpenAI model to use
- * @param {Function} onComplete - Callback function to execute when streaming is complete
+ * @param {Function} onComplete - Callback receiving the complete response and { usage }
  */
 export async function generateOpenAIStreamingResponse(res, messages, model, onComplete) {
   console.log(`🤖 Streaming with OpenAI model: ${model}`);
@@ -66,25 +90,31 @@ export async function generateOpenAIStreamingResponse(res, messages, model, onCo
     const stream = await openai.chat.completions.create({
       model: model,
       messages: messages,
-      stream: true
+      stream: true,
+      // Adds a final chunk (with no choices) carrying the token usage
+      stream_options: { include_usage: true }
     });
     
     let completeResponse = '';
+    let usage = null;
     for await (const chunk of stream) {
       const content = chunk.choices[0]?.delta?.content || '';
       if (content) {
         res.write(`data: ${JSON.stringify({ chunk: content })}\n\n`);
         completeResponse += content;
       }
+      if (chunk.usage) {
+        usage = fromOpenAIUsage(chunk.usage, chunk.model || model);
+      }
     }
     
     // Signal the end of stream
     res.write(`data: ${JSON.stringify({ done: true })}\n\n`);
     res.end();
     
-    // Execute callback with the complete response
+    // Execute callback with the complete response and its token usage
     if (typeof onComplete === 'function') {
-      await onComplete(completeResponse);
+      await onComplete(completeResponse, { usage });
     }
     
     return completeResponse;
@@ -107,13 +137,27 @@ export async function testOpenAIConnection() {
   }
   
   try {
-    const response = await generateOpenAIResponse([
+    const { text } = await generateOpenAIResponse([
       { role: "system", content: "You are a helpful assistant." },
       { role: "user", content: "Say hello!" }
     ], "gpt-3.5-turbo");
     
-    return { success: true, response };
+    return { success: true, response: text };
   } catch (error) {
     return { success: false, error: error.message };
   }
-}
\ No newline at end of file
+}
+
+// Register OpenAI with the provider registry
+registerProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  generate: generateOpenAIResponse,
+  stream: generateOpenAIStreamingResponse,
+  formatImages: (files, sentHashes) => prepareImagesForModel(files, 'openai', sentHashes),
+  isConfigured: isOpenAIConfigured,
+  listModels: () => [...OPENAI_MODELS],
+  contextWindows: OPENAI_CONTEXT_WINDOWS,
+  maxOutputTokens: 3000,
+  capabilities: { vision: true, streaming: true }
+});
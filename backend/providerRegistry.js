@@ -0,0 +1,124 @@
+// Methods every provider must implement to be registered
+const REQUIRED_METHODS = ['generate', 'stream', 'formatImages', 'isConfigured', 'listModels'];
+
+// Conservative defaults for providers that don't declare their limits
+const DEFAULT_CONTEXT_WINDOW = 8192;
+const DEFAULT_MAX_OUTPUT_TOKENS = 1024;
+
+// Registered providers keyed by provider id
+const providers = new Map();
+
+/**
+ * Register an AI provider with the registry
+ *
+ * @param {Object} provider - Provider definition
+ * @param {string} provider.id - Unique provider identifier (e.g. "openai")
+ * @param {string} provider.name - Human readable provider name
+ * @param {Function} provider.generate - (messages, model) => Promise<{ text, usage, reasoning? }>
+ * @param {Function} provider.stream - (res, messages, model, onComplete) => Promise<string>; onComplete gets (reply, { usage, reasoning? })
+ * @param {Function} provider.formatImages - (files, sentHashes) => Promise<Array> of message content parts, leaving out images whose hash is in the sentHashes set
+ * @param {Function} [provider.formatDocuments] - (files) => Promise<Array> of native document parts
+ * @param {Function} provider.isConfigured - () => boolean
+ * @param {Function} provider.listModels - () => Array<string> of accepted model ids
+ * @param {Object} provider.capabilities - Feature flags such as { vision, streaming, nativePdf }
+ * @param {Object} [provider.contextWindows] - Context window size in tokens by model id
+ * @param {number} [provider.defaultContextWindow] - Context window for models not listed
+ * @param {number} [provider.maxOutputTokens] - Tokens reserved for the model's reply
+ * @returns {Object} The registered provider
+ */
+export function registerProvider(provider) {
+  if (!provider || !provider.id) {
+    throw new Error("Provider must have an id");
+  }
+
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') {
+      throw new Error(`Provider ${provider.id} is missing required method: ${method}`);
+    }
+  }
+
+  if (providers.has(provider.id)) {
+    console.warn(`⚠️ Provider ${provider.id} is already registered, replacing it`);
+  }
+
+  const registered = {
+    name: provider.id,
+    contextWindows: {},
+    defaultContextWindow: DEFAULT_CONTEXT_WINDOW,
+    maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+    formatDocuments: async () => [],
+    ...provider,
+    capabilities: { vision: false, streaming: true, nativePdf: false, ...provider.capabilities }
+  };
+
+  providers.set(provider.id, registered);
+  return registered;
+}
+
+/**
+ * Get a provider by its id
+ *
+ * @param {string} providerId - Provider identifier
+ * @returns {Object|null} The provider, or null if not registered
+ */
+export function getProvider(providerId) {
+  return providers.get(providerId) || null;
+}
+
+/**
+ * Resolve the provider that serves a model id
+ *
+ * @param {string} modelId - Model id requested by the client
+ * @returns {Object|null} The provider, or null if no provider accepts the model
+ */
+export function resolveProvider(modelId) {
+  if (!modelId || typeof modelId !== 'string') return null;
+
+  for (const provider of providers.values()) {
+    if (provider.listModels().includes(modelId)) {
+      return provider;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the context budget for a model id
+ *
+ * @param {string} modelId - Model id requested by the client
+ * @returns {Object|null} { contextWindow, maxOutputTokens }, or null for unknown models
+ */
+export function getContextBudget(modelId) {
+  const provider = resolveProvider(modelId);
+  if (!provider) return null;
+
+  return {
+    contextWindow: provider.contextWindows[modelId] || provider.defaultContextWindow,
+    maxOutputTokens: provider.maxOutputTokens
+  };
+}
+
+/**
+ * List all registered providers
+ *
+ * @returns {Array<Object>} Registered providers
+ */
+export function listProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * List every model id accepted by a registered provider
+ *
+ * @returns {Array<Object>} Models with their provider id and configuration status
+ */
+export function listAllModels() {
+  return listProviders().flatMap(provider => provider.listModels().map(model => ({
+    id: model,
+    provider: provider.id,
+    configured: !!provider.isConfigured(),
+    capabilities: provider.capabilities,
+    contextWindow: provider.contextWindows[model] || provider.defaultContextWindow
+  })));
+}
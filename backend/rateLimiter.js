@@ -0,0 +1,162 @@
+// Buckets kept by the in-memory store before idle ones are pruned
+const MEMORY_STORE_MAX_BUCKETS = 10000;
+
+/**
+ * Create an in-memory token bucket store. Buckets live in this process only,
+ * so on serverless or multi-instance deployments each instance limits on its
+ * own; a shared store (e.g. Redis) can implement the same interface:
+ *
+ *   take(key, { capacity, refillPerMinute }, now) → { allowed, remaining, retryAfterMs }
+ *   refund(key, { capacity, refillPerMinute })   → gives back a token taken by take()
+ *
+ * @returns {Object} Rate limit store
+ */
+export function createMemoryRateLimitStore() {
+    const buckets = new Map();
+
+    // Drop buckets that have refilled completely; they behave like new ones
+    function prune(now) {
+        for (const [key, bucket] of buckets) {
+            if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+                buckets.delete(key);
+            }
+        }
+    }
+
+    return {
+        async take(key, { capacity, refillPerMinute }, now = Date.now()) {
+            const refillPerMs = refillPerMinute / 60000;
+            const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+
+            // Refill for the time since the last request, up to the bucket's capacity
+            bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+            bucket.updatedAt = now;
+            bucket.capacity = capacity;
+            bucket.refillPerMs = refillPerMs;
+
+            let allowed = false;
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                allowed = true;
+            }
+
+            buckets.set(key, bucket);
+            if (buckets.size > MEMORY_STORE_MAX_BUCKETS) prune(now);
+
+            return {
+                allowed,
+                remaining: Math.floor(bucket.tokens),
+                retryAfterMs: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs)
+            };
+        },
+
+        async refund(key, { capacity }) {
+            const bucket = buckets.get(key);
+            if (bucket) bucket.tokens = Math.min(capacity, bucket.tokens + 1);
+        },
+
+        async reset() {
+            buckets.clear();
+        }
+    };
+}
+
+/**
+ * Find the model family a model belongs to, for its rate limit
+ *
+ * @param {string} model - Model id
+ * @param {Object} modelFamilies - Limits keyed by family name
+ * @returns {string|null} Family name, or null if the model has no family limit
+ */
+function getModelFamily(model, modelFamilies) {
+    const modelName = (model || '').toLowerCase();
+    return Object.keys(modelFamilies).find(family => modelName.includes(family)) || null;
+}
+
+/**
+ * Create the chat rate limiter: a token bucket per IP address, one per user
+ * sized by their plan, and one per user and model family for expensive
+ * models.
+ *
+ * @param {Object} options - Limiter options
+ * @param {Object} options.store - Token bucket store (see createMemoryRateLimitStore)
+ * @param {Object} options.limits - { enabled, ip, modelFamilies } with { capacity, refillPerMinute } buckets
+ * @returns {Object} { limitByIp, checkUser }
+ */
+export function createRateLimiter({ store, limits }) {
+
+    // Take a token from each bucket in turn, stopping at the first that's empty.
+    // Tokens already taken from earlier buckets are refunded, so a refused
+    // request doesn't use up the others' budgets.
+    async function takeAll(buckets) {
+        const taken = [];
+        for (const bucket of buckets) {
+            const result = await store.take(bucket.key, bucket.limit);
+            if (!result.allowed) {
+                for (const { key, limit } of taken) await store.refund(key, limit);
+                return { allowed: false, scope: bucket.scope, retryAfterSeconds: Math.max(1, Math.ceil(result.retryAfterMs / 1000)) };
+            }
+            taken.push(bucket);
+        }
+        return { allowed: true };
+    }
+
+    return {
+        /**
+         * Express middleware limiting requests per client IP. Responds 429 with
+         * a Retry-After header when the IP's bucket is empty.
+         *
+         * @param {Object} req - Express request
+         * @param {Object} res - Express response
+         * @param {Function} next - Next middleware
+         */
+        async limitByIp(req, res, next) {
+            if (!limits.enabled) return next();
+
+            try {
+                const result = await takeAll([{ key: `ip:${req.ip}`, limit: limits.ip, scope: 'ip' }]);
+                if (!result.allowed) {
+                    console.warn(`🚦 Rate limited IP ${req.ip} on ${req.originalUrl}`);
+                    res.set('Retry-After', String(result.retryAfterSeconds));
+                    return res.status(429).json({
+                        error: `Too many requests. Try again in ${result.retryAfterSeconds} second${result.retryAfterSeconds === 1 ? "" : "s"}.`,
+                        code: 'rate_limited',
+                        retryAfter: result.retryAfterSeconds
+                    });
+                }
+                next();
+            } catch (err) {
+                // Don't turn a store outage into an outage of the chat
+                console.error("Rate limit store error:", err);
+                next();
+            }
+        },
+
+        /**
+         * Take a token from the user's bucket, sized by their plan, and the
+         * bucket for the model's family
+         *
+         * @param {Object} user - Authenticated user
+         * @param {Object} entitlements - The user's entitlements ({ plan, rateLimit })
+         * @param {string} model - Model id for this request
+         * @returns {Promise<Object>} { allowed, scope, retryAfterSeconds }
+         */
+        async checkUser(user, entitlements, model) {
+            if (!limits.enabled) return { allowed: true };
+
+            const buckets = [];
+            const family = getModelFamily(model, limits.modelFamilies);
+            if (family) {
+                buckets.push({ key: `model:${family}:${user.id}`, limit: limits.modelFamilies[family], scope: `model:${family}` });
+            }
+            buckets.push({ key: `user:${user.id}`, limit: entitlements.rateLimit, scope: `plan:${entitlements.plan}` });
+
+            try {
+                return await takeAll(buckets);
+            } catch (err) {
+                console.error("Rate limit store error:", err);
+                return { allowed: true };
+            }
+        }
+    };
+}
@@ -4,43 +4,27 @@ import cors from "cors";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import os from "os";
 import util from "util";
 import { fileURLToPath } from "url";
-import { processUploadedFiles, readFileContent, fileToDataURL, prepareImagesForModel } from './fileUtils.js';
-import { 
-  isGeminiConfigured, 
-  generateGeminiResponse, 
-  handleGeminiStreamingRequest,
-  testGeminiConnection 
-} from './geminiService.js';
-
-import { 
-  isOpenAIConfigured, 
-  generateOpenAIResponse, 
-  generateOpenAIStreamingResponse 
-} from './openaiService.js';
-
-import { 
-  isClaudeConfigured, 
-  generateClaudeResponse, 
-  generateClaudeStreamingResponse,
-  testClaudeConnection
-} from './claudeService.js';
-  
-import { 
-  isGrokConfigured, 
-  generateGrokResponse, 
-  generateGrokStreamingResponse,
-  testGrokConnection
-} from './grokService.js'; 
-
-import { 
-  isDeepseekConfigured, 
-  generateDeepseekResponse, 
-  generateDeepseekStreamingResponse,
-  testDeepseekConnection
-} from './deepseekService.js';
-  
+import { createChatPipeline } from './chatPipeline.js';
+import { createSupabaseConversationStore } from './conversationStore.js';
+import { createFileStorage } from './fileStorage.js';
+import { createFileRetention } from './fileRetention.js';
+import { createAdminAuth } from './adminAuth.js';
+import { createAuthMiddleware } from './authMiddleware.js';
+import { createRateLimiter, createMemoryRateLimitStore } from './rateLimiter.js';
+import { createUsageLedger } from './usageLedger.js';
+import { createEntitlements, getUploadCeiling } from './entitlements.js';
+import { createPriceCatalog, BILLING_INTERVALS } from './billingPlans.js';
+import { canonicalizeSessionId, isSupportedUpload, rejectUpload, validateUploads } from './uploadValidation.js';
+
+// Provider services register themselves with the registry when imported
+import './openaiService.js';
+import { testGeminiConnection } from './geminiService.js';
+import { testClaudeConnection } from './claudeService.js';
+import { testGrokConnection } from './grokService.js';
+import { testDeepseekConnection } from './deepseekService.js';
 
 // ** Integrations: Supabase and Stripe **
 import { createClient } from "@supabase/supabase-js";
@@ -70,7 +54,10 @@ try {
     // Create a dummy stripe object for development without API key
     stripe = {
         checkout: { sessions: { create: async () => ({ url: '#dummy-checkout-url' }) } },
-        subscriptions: { retrieve: async () => ({ status: 'active' }) },
+        subscriptions: {
+            retrieve: async () => { throw new Error("Stripe is not configured"); },
+            list: async () => { throw new Error("Stripe is not configured"); }
+        },
         webhooks: { constructEvent: () => ({ type: 'dummy', data: { object: {} } }) }
     };
 }
@@ -83,13 +70,31 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
+// Where uploaded files are kept once a chat request accepts them
+const fileStorage = createFileStorage(config.storage, supabase, uploadsDir);
+
+// Multer writes uploads here first; the local disk isn't persistent with Supabase Storage
+const stagingDir = config.storage.driver === 'supabase'
+    ? path.join(os.tmpdir(), 'pantherai-uploads')
+    : uploadsDir;
+
+// Multer accepts uploads up to the most generous plan's limits; enhancedUpload applies the user's own
+const uploadCeiling = getUploadCeiling(config.plans);
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
-        const sessionId = req.body.sessionId || 'unknown';
+        // The session id becomes a directory name, so only accept safe ids
+        // (the client sends sessionId before the files)
+        const sessionId = canonicalizeSessionId(req.body.sessionId);
+        if (!sessionId) {
+            const error = new Error("A valid session ID must be sent before the files.");
+            error.status = 400;
+            return cb(error);
+        }
         console.log(`📁 Processing file upload for session: ${sessionId}, file: ${file.originalname}, mimetype: ${file.mimetype}`);
         
-        const sessionDir = path.join(uploadsDir, sessionId);
+        const sessionDir = path.join(stagingDir, sessionId);
         if (!fs.existsSync(sessionDir)) {
             console.log(`Creating directory: ${sessionDir}`);
             fs.mkdirSync(sessionDir, { recursive: true });
@@ -108,18 +113,18 @@ const storage = multer.diskStorage({
 // Enhanced file size limits and error handling
 const upload = multer({ 
     storage, 
-    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB
+    limits: {
+        fileSize: uploadCeiling.maxFileMb * 1024 * 1024,
+        files: uploadCeiling.maxFiles
+    },
     fileFilter: function(req, file, cb) {
         console.log(`Filtering file: ${file.originalname}, mimetype: ${file.mimetype}`);
-        // Accept images and common document formats
-        if (file.mimetype.startsWith('image/') || 
-            file.mimetype.includes('pdf') ||
-            file.mimetype.includes('text/') ||
-            file.mimetype.includes('application/json') ||
-            file.mimetype.includes('csv')) {
+        // Accept images and common document formats; the content is checked once the file is saved
+        if (isSupportedUpload(file)) {
             cb(null, true);
         } else {
-            console.log(`Rejecting file: ${file.originalname} with mimetype: ${file.mimetype}`);
+            req.rejectedFiles = req.rejectedFiles || [];
+            req.rejectedFiles.push(rejectUpload(file, 'unsupported_type', `Files of type ${file.mimetype} aren't supported.`));
             cb(null, false);
         }
     }
@@ -129,18 +134,34 @@ const upload = multer({
 function enhancedUpload(req, res, next) {
     console.log("🔍 Request received for upload with content-type:", req.headers['content-type']);
     
-    upload(req, res, function(err) {
+    upload(req, res, async function(err) {
         if (err) {
             console.error("❌ Multer upload error:", err);
             if (err instanceof multer.MulterError) {
                 if (err.code === 'LIMIT_FILE_SIZE') {
-                    return res.status(413).json({ error: "File too large. Maximum size is 10MB." });
+                    return res.status(413).json({ error: `File too large. Maximum size is ${uploadCeiling.maxFileMb}MB.`, code: err.code });
+                }
+                if (err.code === 'LIMIT_FILE_COUNT') {
+                    return res.status(413).json({ error: `Too many files. At most ${uploadCeiling.maxFiles} files can be sent with one message.`, code: err.code });
                 }
-                return res.status(400).json({ error: `Upload error: ${err.message}` });
+                return res.status(400).json({ error: `Upload error: ${err.message}`, code: err.code });
+            }
+            if (err.status) {
+                return res.status(err.status).json({ error: err.message });
             }
             return res.status(500).json({ error: `Server error during upload: ${err.message}` });
         }
         
+        // Check each file's content against its declared type and the plan's upload limits
+        try {
+            const { accepted, rejected } = await validateUploads(req.files, req.entitlements.limits.uploads);
+            req.files = accepted;
+            req.rejectedFiles = [...(req.rejectedFiles || []), ...rejected];
+        } catch (validationError) {
+            console.error("❌ Upload validation error:", validationError);
+            return res.status(500).json({ error: `Server error during upload: ${validationError.message}` });
+        }
+        
         // Log successful uploads
         if (req.files && req.files.length > 0) {
             console.log(`✅ Successfully uploaded ${req.files.length} files:`, 
@@ -155,13 +176,15 @@ function enhancedUpload(req, res, next) {
 
 // Initialize Express
 const app = express();
+// Use the client IP from X-Forwarded-For when running behind a proxy (for rate limits)
+app.set('trust proxy', config.trustProxy);
 // Use JSON parser for API routes (excluding Stripe webhooks)
 app.use('/api', express.json());
 
 // Better CORS configuration - allow all origins during development
 app.use(cors({
     origin: '*',
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PATCH', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization'],
     credentials: true
 }));
@@ -169,10 +192,43 @@ app.use(cors({
 // Serve static files from the chatbot directory
 app.use(express.static(path.join(__dirname, '../chatbot')));
 
-// Store session data in memory
-const sessionFiles = new Map();
-const userConversations = new Map();
-const userSelectedModel = new Map();
+// What each user's plan allows: models, quotas, upload limits and rate limits
+const entitlements = createEntitlements({
+    plans: config.plans,
+    defaultPlan: config.defaultPlan,
+    defaultPaidPlan: config.defaultPaidPlan,
+    loadSubscription: (userId) => loadUserSubscription(userId)
+});
+
+// Stripe prices for each paid plan and billing interval
+const priceCatalog = createPriceCatalog({
+    plans: config.plans,
+    prices: config.stripe.prices,
+    trialDays: config.stripe.trialDays
+});
+
+// Verifies the Supabase JWT on protected routes and loads the user's entitlements
+const { requireAuth, requirePremium, authenticateRequest } = createAuthMiddleware({
+    supabase,
+    loadEntitlements: (user) => entitlements.getEntitlements(user.id),
+    options: { jwtSecret: config.supabase.jwtSecret, jwksUrl: config.supabase.jwksUrl }
+});
+
+// Every /api/admin route requires the admin role, and admin actions are audited
+const adminAuth = createAdminAuth({ supabase });
+app.use('/api/admin', requireAuth, adminAuth.requireAdmin);
+
+// Conversation history, selected models and files, rehydrated from Supabase after restarts
+const conversationStore = createSupabaseConversationStore(supabase);
+
+// Upload quotas, the retention sweep and deletion of a chat's files
+const fileRetention = createFileRetention({
+    conversationStore,
+    fileStorage,
+    limits: config.storage,
+    plans: config.plans,
+    sweepDirs: stagingDir !== uploadsDir ? [stagingDir] : []
+});
 
 // Load API keys
 const OPENAI_API_KEY = config.openai.apiKey;
@@ -183,50 +239,173 @@ const STRIPE_WEBHOOK_SECRET = config.stripe.webhookSecret;
 // Initialize OpenAI client
 const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 
-// Helper: check if user is subscribed (with improved error handling)
-async function isUserSubscribed(userId) {
+// Subscription statuses that grant premium access
+const ACTIVE_SUBSCRIPTION_STATUSES = ['active', 'trialing'];
+
+/**
+ * Read the access a Stripe subscription grants, as stored on the users row:
+ * whether it's active, and the plan and billing interval it's for (null
+ * once it has lapsed)
+ *
+ * @param {Object} subscription - Stripe subscription
+ * @returns {Object} { is_subscribed, plan, billing_interval }
+ */
+function subscriptionAccess(subscription) {
+    const isSubscribed = ACTIVE_SUBSCRIPTION_STATUSES.includes(subscription.status);
+    const plan = isSubscribed ? priceCatalog.getPlanForSubscription(subscription) : null;
+    return {
+        is_subscribed: isSubscribed,
+        plan: plan?.planId || null,
+        billing_interval: plan?.interval || null
+    };
+}
+
+/**
+ * Load a user's subscription and the plan it's for, checking the stored
+ * subscription with Stripe and correcting the users row if it's out of date
+ *
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} { isSubscribed, planId }
+ */
+async function loadUserSubscription(userId) {
     try {
-        if (!userId) return false;
+        if (!userId) return { isSubscribed: false, planId: null };
         
         const { data: profile, error } = await supabase
             .from('users')
-            .select('is_subscribed, stripe_subscription_id')
+            .select('is_subscribed, plan, stripe_subscription_id')
             .eq('id', userId)
             .maybeSingle();
             
         if (error) {
             console.error("Error checking subscription status:", error);
-            return false;
+            return { isSubscribed: false, planId: null };
         }
         
+        const stored = { isSubscribed: profile?.is_subscribed || false, planId: profile?.plan || null };
+        
         // If we have a Stripe subscription ID, verify it's active with Stripe
         if (profile?.stripe_subscription_id) {
             try {
                 const subscription = await stripe.subscriptions.retrieve(profile.stripe_subscription_id);
-                const isActive = subscription.status === 'active' || subscription.status === 'trialing';
+                const access = subscriptionAccess(subscription);
                 
-                // If status in DB doesn't match Stripe, update it
-                if (profile.is_subscribed !== isActive) {
+                // If status or plan in DB doesn't match Stripe, update it
+                if (profile.is_subscribed !== access.is_subscribed || profile.plan !== access.plan) {
                     await supabase
                         .from('users')
-                        .update({ is_subscribed: isActive })
+                        .update(access)
                         .eq('id', userId);
                 }
                 
-                return isActive;
+                return { isSubscribed: access.is_subscribed, planId: access.plan };
             } catch (stripeErr) {
                 console.error("Stripe subscription check error:", stripeErr);
                 // Fall back to using the database value
-                return profile?.is_subscribed || false;
+                return stored;
             }
         }
         
         // Default to database value if no Stripe ID
-        return profile?.is_subscribed || false;
+        return stored;
     } catch (err) {
         console.error("Exception checking subscription:", err);
-        return false;
+        return { isSubscribed: false, planId: null };
+    }
+}
+
+
+/**
+ * Re-check a user's subscription with Stripe and store what Stripe reports.
+ * Subscription state is only changed from verified Stripe data: the user's
+ * stored subscription or customer, a checkout session created for this user,
+ * or subscriptions tagged with the user's id at checkout.
+ *
+ * @param {Object} user - Supabase auth user
+ * @param {string} [checkoutSessionId] - Checkout session from the success redirect
+ * @returns {Promise<Object>} { isSubscribed, planId, stripeStatus, stripeSubscriptionId, changed }
+ */
+async function reconcileSubscription(user, checkoutSessionId) {
+    const { data: profile, error } = await supabase
+        .from('users')
+        .select('is_subscribed, plan, stripe_customer_id, stripe_subscription_id')
+        .eq('id', user.id)
+        .maybeSingle();
+    if (error) throw new Error("Failed to load user record: " + error.message);
+
+    let customerId = profile?.stripe_customer_id || null;
+    let subscriptions = [];
+
+    // A checkout session only counts if it was created for this user
+    if (checkoutSessionId) {
+        const session = await stripe.checkout.sessions.retrieve(checkoutSessionId);
+        const sessionUserId = session.metadata?.supabase_user_id || session.client_reference_id;
+        if (sessionUserId !== user.id) {
+            console.warn(`🚫 User ${user.id} tried to reconcile with checkout session ${checkoutSessionId} of another user`);
+        } else {
+            customerId = session.customer || customerId;
+            if (session.subscription) {
+                subscriptions.push(await stripe.subscriptions.retrieve(session.subscription));
+            }
+        }
+    }
+
+    if (subscriptions.length === 0 && profile?.stripe_subscription_id) {
+        subscriptions.push(await stripe.subscriptions.retrieve(profile.stripe_subscription_id));
+    }
+    if (!subscriptions.some(sub => ACTIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) && customerId) {
+        const { data } = await stripe.subscriptions.list({ customer: customerId, status: 'all', limit: 10 });
+        subscriptions.push(...data);
+    }
+    if (subscriptions.length === 0) {
+        // Checkout tags subscriptions with the user's id, in case the webhook never recorded the customer
+        try {
+            const { data } = await stripe.subscriptions.search({ query: `metadata['supabase_user_id']:'${user.id}'` });
+            subscriptions.push(...data);
+        } catch (searchErr) {
+            console.warn("Stripe subscription search unavailable:", searchErr.message);
+        }
+    }
+
+    const currentlySubscribed = profile?.is_subscribed || false;
+    if (subscriptions.length === 0) {
+        // Nothing in Stripe to go on, so leave the stored state alone
+        return { isSubscribed: currentlySubscribed, planId: profile?.plan || null, stripeStatus: null, stripeSubscriptionId: null, changed: false };
+    }
+
+    const subscription = subscriptions.find(sub => ACTIVE_SUBSCRIPTION_STATUSES.includes(sub.status)) || subscriptions[0];
+    const access = subscriptionAccess(subscription);
+    const isSubscribed = access.is_subscribed;
+    const changes = {
+        ...access,
+        stripe_customer_id: subscription.customer || customerId,
+        stripe_subscription_id: subscription.id,
+        updated_at: new Date().toISOString()
+    };
+
+    const { error: saveError } = profile
+        ? await supabase.from('users').update(changes).eq('id', user.id)
+        : await supabase.from('users').insert({ id: user.id, email: user.email, created_at: changes.updated_at, ...changes });
+    if (saveError) throw new Error("Failed to save subscription status: " + saveError.message);
+
+    const changed = isSubscribed !== currentlySubscribed || access.plan !== (profile?.plan || null);
+    console.log(`🔄 Reconciled subscription for ${user.email}: ${subscription.status}${access.plan ? ` on ${access.plan}` : ''}${changed ? ` (was ${currentlySubscribed ? profile?.plan || 'active' : 'inactive'})` : ''}`);
+    return { isSubscribed, planId: access.plan, stripeStatus: subscription.status, stripeSubscriptionId: subscription.id, changed };
+}
+
+/**
+ * Express middleware for debugging routes, which only exist when
+ * ENABLE_DEBUG_ROUTES=true
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireDebugMode(req, res, next) {
+    if (!config.debug.routes) {
+        return res.status(404).json({ error: "Not found" });
     }
+    next();
 }
 
 // Create a Supabase Auth webhook listener for new users
@@ -263,804 +442,26 @@ app.post("/auth-webhook", express.json(), async (req, res) => {
     return res.json({ received: true });
 });
 
-// ** Chat API Endpoint (non-streaming) **
-app.post("/api/chat", enhancedUpload, async (req, res) => {
-  try {
-    const { sessionId, message, model } = req.body;
-    console.log(`Request body: sessionId=${sessionId}, model=${model}, message=${message?.substring(0, 50)}`);
-    console.log(`Files attached: ${req.files?.length || 0}`);
-    
-    if (!sessionId || (!message && (!req.files || req.files.length === 0))) {
-      return res.status(400).json({ error: "Session ID and either message or files are required." });
-    }
-    
-    // ** Authenticate user via Supabase JWT **
-    const authHeader = req.headers.authorization;
-    console.log("Auth header received:", authHeader ? "Yes" : "No");
-    
-    if (!authHeader) {
-      return res.status(401).json({ error: "Missing Authorization header" });
-    }
-    
-    // Log the token format to debug
-    console.log("Auth header format:", authHeader.substring(0, 15) + "...");
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-      return res.status(401).json({ error: "Malformed Authorization header" });
-    }
-    
-    try {
-      const { data, error: authError } = await supabase.auth.getUser(token);
-      
-      if (authError) {
-        console.error("🚨 AUTH ERROR:", authError.message);
-        return res.status(401).json({ error: "Authentication failed: " + authError.message });
-      }
-      
-      if (!data.user) {
-        console.error("🚨 ERROR: No user found for token");
-        return res.status(401).json({ error: "No user found for this token" });
-      }
-      
-      console.log("✅ Authenticated user:", data.user.email);
-      
-      // Check subscription status with better error handling
-      const isSubscribed = await isUserSubscribed(data.user.id);
-      console.log(`User ${data.user.email} subscription status:`, isSubscribed);
-      
-      // Check if this is a new chat or existing
-      const { data: existingChat } = await supabase.from('chats').select('messages, message_count').eq('id', sessionId).eq('user_id', data.user.id).maybeSingle();
-      
-      // Enforce free tier chat limits
-      if (!isSubscribed) {
-        if (!existingChat) {
-          // Free user starting a new chat: limit 3 chats
-          const { count: totalChats } = await supabase.from('chats').select('*', { count: 'exact', head: true }).eq('user_id', data.user.id);
-          if (totalChats >= 3) {
-            return res.status(403).json({ error: "Free tier limit reached: Maximum 3 chats allowed. Please upgrade to continue." });
-          }
-        } else if (existingChat.message_count >= 20) {
-          // Free user continuing chat: limit 20 messages per chat
-          return res.status(403).json({ error: "Free tier limit: Maximum 20 messages per chat reached. Please start a new chat or upgrade for unlimited access." });
-        }
-      }
-      
-      // Process any uploaded files for this message
-      let uploadedFiles = [];
-      if (req.files && req.files.length > 0) {
-        try {
-          uploadedFiles = processUploadedFiles(req.files, sessionId, sessionFiles);
-          console.log(`📁 Processed ${uploadedFiles.length} files for session ${sessionId}`);
-        } catch (fileError) {
-          console.error("❌ Error processing uploaded files:", fileError);
-          return res.status(500).json({ error: "Error processing uploaded files: " + fileError.message });
-        }
-      }
-      
-      // Initialize new conversation in memory if needed
-      if (!userConversations.has(sessionId)) {
-        userConversations.set(sessionId, [{ role: "system", content: "You are PantherAI, a helpful assistant." }]);
-        userSelectedModel.set(sessionId, model || "gpt-3.5-turbo");
-      }
-      
-      const conversationHistory = userConversations.get(sessionId);
-      
-      // Handle new user message and attached files
-      const imageFiles = req.files ? req.files.filter(f => f.mimetype.startsWith('image/')) : [];
-      const textFiles = req.files ? req.files.filter(f => !f.mimetype.startsWith('image/')) : [];
-      
-      // Process text file attachments (include their content in the prompt)
-      let textFilesContent = "";
-      if (textFiles.length > 0) {
-        try {
-          const textFilesInfo = await Promise.all(textFiles.map(async (file) => {
-            let fileInfo = `- ${file.originalname} (${file.mimetype}, ${(file.size / 1024).toFixed(2)} KB)`;
-            if (file.mimetype.startsWith('text/') || file.mimetype.includes('json') || file.mimetype.includes('csv')) {
-              try {
-                const fileContent = await readFileContent(file.path);
-                if (fileContent) {
-                  fileInfo += `\n\nContent of ${file.originalname}:\n\`\`\`\n${fileContent}\n\`\`\``;
-                }
-              } catch (err) {
-                console.error(`Error reading text file ${file.path}:`, err);
-              }
-            } else {
-              fileInfo += "\n[Binary file]";
-            }
-            return fileInfo;
-          }));
-          
-          if (textFilesInfo.length > 0) {
-            textFilesContent = `I've attached the following text-based files:\n${textFilesInfo.join('\n\n')}\n\n`;
-          }
-        } catch (textFileError) {
-          console.error("Error processing text files:", textFileError);
-          textFilesContent = "I've attached some text files, but they couldn't be processed properly.";
-        }
-      }
-      
-      // Append the user's text (and text file content if any) to the conversation
-      let userContent = message || '';
-      if (textFilesContent) {
-        userContent += userContent ? '\n\n' : '';
-        userContent += textFilesContent;
-      }
-      
-      // Ensure we have valid user content if no message but files are present
-      if (!userContent && (imageFiles.length > 0 || textFiles.length > 0)) {
-        userContent = "Please analyze the attached files.";
-      }
-      
-      conversationHistory.push({ role: "user", content: userContent });
-      
-      let selectedModel = userSelectedModel.get(sessionId) || "gpt-3.5-turbo";
-      if (model) selectedModel = model;
-      userSelectedModel.set(sessionId, selectedModel);
-      
-    // ** Model access control for free users **
-    // ** Model access control for free users **
-    const premiumModels = ["gpt-4", "claude", "grok", "deepseek-r1"];
-    const modelName = selectedModel.toLowerCase();
-    const isPremiumModel = premiumModels.some(pm => {
-    // Special case for deepseek models
-    if (pm === "deepseek-r1") {
-        return modelName === "deepseek-r1";
-    }
-    // Regular partial matching for other model families
-    return modelName.includes(pm);
-    });
+// Throttles chat requests per IP, per user and per model family
+const rateLimiter = createRateLimiter({ store: createMemoryRateLimitStore(), limits: config.rateLimits });
 
+// Per-message token usage and cost, written to the usage_events table
+const usageLedger = createUsageLedger({ supabase });
 
-      
-      console.log(`Selected model: ${selectedModel}, Premium: ${isPremiumModel}, User subscribed: ${isSubscribed}`);
-      
-      if (isPremiumModel && !isSubscribed) {
-        console.log("🚫 Premium model requested by non-subscriber");
-        return res.status(403).json({ error: "Model not available for free users. Please subscribe to access this model." });
-      }
-      
-      // Declare botReply variable to store response
-      let botReply;
-      
-      try {
-        // Process image attachments for all models
-        let messages = [...conversationHistory]; // Clone the conversation history
-        
-        if (imageFiles.length > 0) {
-          console.log(`Processing ${imageFiles.length} images for model: ${selectedModel}`);
-          
-          try {
-            // For Claude models
-            if (selectedModel.includes("claude")) {
-              console.log("Preparing images for Claude");
-              const imageContents = await prepareImagesForModel(imageFiles, "claude");
-              const validImageContents = imageContents.filter(item => item !== null);
-              
-              console.log(`Valid Claude image contents: ${validImageContents.length}`);
-              
-              if (validImageContents.length > 0) {
-                const promptText = userContent || "Please analyze these images and provide insights:";
-                
-                const imageMessage = {
-                  role: "user",
-                  content: [
-                    { type: "text", text: promptText },
-                    ...validImageContents
-                  ]
-                };
-                
-                // Replace the text-only message
-                messages = messages.slice(0, -1); // Remove the last message (user text-only)
-                messages.push(imageMessage); // Add the multimodal message
-                
-                console.log("Added Claude-formatted image message with", validImageContents.length, "images");
-              }
-            }
-            // For OpenAI models
-            else if (!selectedModel.includes("gemini") && !selectedModel.includes("grok")) {
-              console.log("Preparing images for OpenAI");
-              const imageContents = await prepareImagesForModel(imageFiles, "openai");
-              const validImageContents = imageContents.filter(item => item !== null);
-              
-              console.log(`Valid OpenAI image contents: ${validImageContents.length}`);
-              
-              if (validImageContents.length > 0) {
-                const promptText = userContent || "Please analyze these images and provide insights:";
-                
-                const imageMessage = {
-                  role: "user",
-                  content: [
-                    { type: "text", text: promptText },
-                    ...validImageContents
-                  ]
-                };
-                
-                // Replace the text-only message
-                messages = messages.slice(0, -1); // Remove the last message (user text-only)
-                messages.push(imageMessage); // Add the multimodal message
-                
-                console.log("Added OpenAI-formatted image message with", validImageContents.length, "images");
-              }
-            }
-            // For Grok models
-            else if (selectedModel.includes("grok")) {
-              console.log("Preparing images for Grok");
-              const imageContents = await prepareImagesForModel(imageFiles, "grok");
-              const validImageContents = imageContents.filter(item => item !== null);
-              
-              console.log(`Valid Grok image contents: ${validImageContents.length}`);
-              
-              if (validImageContents.length > 0) {
-                const promptText = userContent || "Please analyze these images and provide insights:";
-                
-                const imageMessage = {
-                  role: "user",
-                  content: [
-                    { type: "text", text: promptText },
-                    ...validImageContents
-                  ]
-                };
-                
-                // Replace the text-only message
-                messages = messages.slice(0, -1); // Remove the last message (user text-only)
-                messages.push(imageMessage); // Add the multimodal message
-                
-                console.log("Added Grok-formatted image message with", validImageContents.length, "images");
-              }
-            }
-          } catch (imgProcessError) {
-            console.error("Error processing images:", imgProcessError);
-            return res.status(500).json({ error: "Error processing images: " + imgProcessError.message });
-          }
-        }
-        
-        // Handle different model types
-        if (selectedModel.includes("gemini")) {
-          // ** Handle Google Gemini API **
-          // For Gemini, we handle images differently, passing them directly
-          botReply = await generateGeminiResponse(userContent, selectedModel, imageFiles);
-        } 
-        else if (selectedModel.includes("claude")) {
-          // ** Handle Claude API **
-          botReply = await generateClaudeResponse(messages, selectedModel);
-        }
-        else if (selectedModel.includes("grok")) {
-          // ** Handle Grok API **
-          botReply = await generateGrokResponse(messages, selectedModel);
-        }
-        else if (selectedModel.includes("deepseek")) {
-          // ** Handle Deepseek API **
-          botReply = await generateDeepseekResponse(messages, selectedModel);
-        }
-        else {
-          // ** Handle OpenAI API (default) **
-          botReply = await generateOpenAIResponse(messages, selectedModel);
-        }
-        
-        // Update conversation history with assistant response
-        conversationHistory.push({ role: "assistant", content: botReply });
-        
-        // Save chat to database
-        try {
-          if (!existingChat) {
-            const chatMessages = [
-              { role: "user", content: userContent },
-              { role: "assistant", content: botReply }
-            ];
-            await supabase.from('chats').insert({
-              id: sessionId,
-              user_id: data.user.id,
-              messages: chatMessages,
-              message_count: 1
-            });
-          } else {
-            const updatedMessages = existingChat.messages ? [...existingChat.messages] : [];
-            updatedMessages.push({ role: "user", content: userContent });
-            updatedMessages.push({ role: "assistant", content: botReply });
-            await supabase.from('chats').update({
-              messages: updatedMessages,
-              message_count: (existingChat.message_count || 0) + 1
-            }).eq('id', sessionId);
-          }
-        } catch (err) {
-          console.error("Error saving chat to database:", err);
-        }
-        
-        // Send response
-        return res.json({ reply: botReply });
-      } catch (error) {
-        console.error("API Error:", error);
-        return res.status(500).json({ error: `${selectedModel} API error: ${error.message}` });
-      }
-    } catch (err) {
-      console.error("🚨 Exception in auth:", err);
-      return res.status(500).json({ error: "Authentication error" });
-    }
-  } catch (error) {
-    console.error("Server error:", error);
-    res.status(500).json({ error: "Internal server error", details: error.message });
-  }
+// Chat pipeline shared by the JSON and streaming chat endpoints
+const chatPipeline = createChatPipeline({
+    rateLimiter,
+    conversationStore,
+    fileStorage,
+    fileRetention,
+    usageLedger
 });
 
-// ** Streaming Chat API Endpoint (server-sent events) **
-app.post("/api/chat/stream", enhancedUpload, async (req, res) => {
-    console.log("📥 Received Streaming Request");
-
-    // Add this at the start of your streaming endpoint:
-    console.log("Headers received:", Object.keys(req.headers));
-    console.log("Content-Type:", req.headers['content-type']);
-    console.log("Auth header type:", typeof req.headers.authorization);
-
-    try {
-        const { sessionId, message, model } = req.body;
-        console.log(`Request body: sessionId=${sessionId}, model=${model}, message=${message?.substring(0, 50)}`);
-        console.log(`Files attached: ${req.files?.length || 0}`);
-        
-        if (!sessionId) {
-            console.error("🚨 ERROR: Missing sessionId!");
-            return res.status(400).json({ error: "Session ID is required." });
-        }
-        
-        // More flexible validation - allow empty message if files are present
-        const hasMessage = !!message && message.trim() !== '';
-        const hasFiles = req.files && req.files.length > 0;
-        
-        if (!hasMessage && !hasFiles) {
-            console.error("🚨 ERROR: No message or files provided!");
-            return res.status(400).json({ error: "Message or files are required." });
-        }
-        
-        // ** Authenticate user **
-        const authHeader = req.headers.authorization;
-        if (!authHeader) {
-            console.error("🚨 ERROR: Missing Authorization header!");
-            return res.status(401).json({ error: "Missing Authorization header" });
-        }
-
-        // Log the token format to debug
-        console.log("Auth header format:", authHeader.substring(0, 15) + "...");
-        
-        const token = authHeader.split(' ')[1];
-        if (!token) {
-            console.error("🚨 ERROR: Malformed Authorization header!");
-            return res.status(401).json({ error: "Malformed Authorization header" });
-        }
-        
-        // Set up SSE headers early to prevent header errors after async operations
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        // CORS headers for SSE
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, DELETE');
-        
-        try {
-            const { data, error: authError } = await supabase.auth.getUser(token);
-            
-            if (authError) {
-                console.error("🚨 AUTH ERROR:", authError.message);
-                res.write(`data: ${JSON.stringify({ error: "Authentication failed: " + authError.message })}\n\n`);
-                return res.end();
-            }
-            
-            if (!data.user) {
-                console.error("🚨 ERROR: No user found for token");
-                res.write(`data: ${JSON.stringify({ error: "No user found for this token" })}\n\n`);
-                return res.end();
-            }
-            
-            console.log("✅ Authenticated user:", data.user.email);
-            
-            // Check subscription status with improved helper
-            const isSubscribed = await isUserSubscribed(data.user.id);
-            console.log(`User ${data.user.email} subscription status (streaming):`, isSubscribed);
-            
-            // Check existing chat and enforce limits for free users
-            const { data: existingChat } = await supabase.from('chats').select('messages, message_count').eq('id', sessionId).eq('user_id', data.user.id).maybeSingle();
-            if (!isSubscribed) {
-                if (!existingChat) {
-                    const { count: totalChats } = await supabase.from('chats').select('*', { count: 'exact', head: true }).eq('user_id', data.user.id);
-                    if (totalChats >= 3) {
-                        res.write(`data: ${JSON.stringify({ error: "Free tier limit reached: Maximum 3 chats allowed." })}\n\n`);
-                        return res.end();
-                    }
-                } else if (existingChat.message_count >= 20) {
-                    res.write(`data: ${JSON.stringify({ error: "Free tier limit: Maximum 20 messages per chat reached." })}\n\n`);
-                    return res.end();
-                }
-            }
-            
-            // Process any uploaded files for this message
-            let uploadedFiles = [];
-            if (req.files && req.files.length > 0) {
-                try {
-                    // Enhanced error handling for file processing
-                    uploadedFiles = processUploadedFiles(req.files, sessionId, sessionFiles);
-                    console.log(`📁 Processed ${uploadedFiles.length} files for session ${sessionId}`);
-                    
-                    if (uploadedFiles.length !== req.files.length) {
-                        console.warn(`⚠️ Warning: Only ${uploadedFiles.length} out of ${req.files.length} files were processed`);
-                    }
-                } catch (fileError) {
-                    console.error("❌ Error processing uploaded files:", fileError);
-                    res.write(`data: ${JSON.stringify({ error: "Error processing uploaded files: " + fileError.message })}\n\n`);
-                    return res.end();
-                }
-            }
-            
-            // Initialize conversation in memory if needed
-            if (!userConversations.has(sessionId)) {
-                userConversations.set(sessionId, [{ role: "system", content: "You are PantherAI, a helpful assistant." }]);
-                userSelectedModel.set(sessionId, model || "gpt-3.5-turbo");
-            }
-            
-            let selectedModel = userSelectedModel.get(sessionId) || "gpt-3.5-turbo";
-            if (model) selectedModel = model;
-            userSelectedModel.set(sessionId, selectedModel);
-            
-            // ** Start of model handling code **
-            // ** Start of model handling code **
-            const premiumModels = ["gpt-4", "claude", "grok", "deepseek-r1"];
-            const modelName = selectedModel.toLowerCase();
-            const isPremiumModel = premiumModels.some(pm => {
-            // Special case for deepseek models
-            if (pm === "deepseek-r1") {
-                return modelName === "deepseek-r1";
-            }
-            // Regular partial matching for other model families
-            return modelName.includes(pm);
-            });
-
-
-
-
-            console.log(`Streaming - Selected model: ${selectedModel}, Premium: ${isPremiumModel}, User subscribed: ${isSubscribed}`);
-
-            if (isPremiumModel && !isSubscribed) {
-                console.log("🚫 Premium model requested by non-subscriber (streaming)");
-                // Immediately terminate stream with error message
-                res.write(`data: ${JSON.stringify({ error: "Model not available for free users. Please subscribe to access this model." })}\n\n`);
-                return res.end();
-            }
+// ** Chat API Endpoint (non-streaming) **
+app.post("/api/chat", rateLimiter.limitByIp, requireAuth, enhancedUpload, chatPipeline.handleChat);
 
-            try {
-                let messages = [];
-                // Build message history for API
-                messages.push({
-                    role: "system",
-                    content: "You are PantherAI, a helpful assistant that can analyze various types of documents and images to help users."
-                });
-                
-                const conversationHistory = userConversations.get(sessionId);
-                if (conversationHistory && conversationHistory.length > 1) {
-                    for (let i = 1; i < conversationHistory.length; i++) {
-                        messages.push(conversationHistory[i]);
-                    }
-                }
-                
-                // Handle new user message and attached files
-                let imageFiles = [];
-                let textFiles = [];
-                
-                if (req.files && req.files.length > 0) {
-                    // Better classification of files with error handling
-                    try {
-                        imageFiles = req.files.filter(f => f.mimetype && f.mimetype.startsWith('image/'));
-                        textFiles = req.files.filter(f => f.mimetype && !f.mimetype.startsWith('image/'));
-                        
-                        console.log(`Classified files: ${imageFiles.length} images, ${textFiles.length} text/documents`);
-                    } catch (fileClassifyError) {
-                        console.error("Error classifying files:", fileClassifyError);
-                        imageFiles = [];
-                        textFiles = [];
-                    }
-                }
-                
-                // Process text file attachments (include their content in the prompt)
-                let textFilesContent = "";
-                if (textFiles.length > 0) {
-                    try {
-                        const textFilesInfo = await Promise.all(textFiles.map(async (file) => {
-                            let fileInfo = `- ${file.originalname} (${file.mimetype}, ${(file.size / 1024).toFixed(2)} KB)`;
-                            if (file.mimetype && (file.mimetype.startsWith('text/') || file.mimetype.includes('json') || file.mimetype.includes('csv'))) {
-                                try {
-                                    const fileContent = await readFileContent(file.path);
-                                    if (fileContent) {
-                                        fileInfo += `\n\nContent of ${file.originalname}:\n\`\`\`\n${fileContent}\n\`\`\``;
-                                    }
-                                } catch (err) {
-                                    console.error(`Error reading text file ${file.path}:`, err);
-                                }
-                            } else {
-                                fileInfo += "\n[Binary file]";
-                            }
-                            return fileInfo;
-                        }));
-                        
-                        if (textFilesInfo.length > 0) {
-                            textFilesContent = `I've attached the following text-based files:\n${textFilesInfo.join('\n\n')}\n\n`;
-                        }
-                    } catch (textFileError) {
-                        console.error("Error processing text files:", textFileError);
-                        // Continue without text file content
-                        textFilesContent = "I've attached some text files, but they couldn't be processed properly.";
-                    }
-                }
-                
-                // Append the user's text (and text file content if any) to the conversation
-                let userContent = message || '';
-                if (textFilesContent) {
-                    userContent += userContent ? '\n\n' : '';
-                    userContent += textFilesContent;
-                }
-                
-                // Ensure we have valid user content
-                if (!userContent && imageFiles.length === 0) {
-                    userContent = "Please analyze the attached files.";
-                }
-                
-                if (userContent) {
-                    messages.push({ role: "user", content: userContent });
-                }
-                
-                // Process image attachments for all models
-                if (imageFiles.length > 0) {
-                    console.log(`Processing ${imageFiles.length} images for model: ${selectedModel}`);
-                    
-                    try {
-                        // For Claude models
-                        if (selectedModel.includes("claude")) {
-                            console.log("Preparing images for Claude");
-                            const imageContents = await prepareImagesForModel(imageFiles, "claude");
-                            const validImageContents = imageContents.filter(item => item !== null);
-                            
-                            console.log(`Valid Claude image contents: ${validImageContents.length}`);
-                            
-                            if (validImageContents.length > 0) {
-                                const promptText = userContent || "Please analyze these images and provide insights:";
-                                
-                                const imageMessage = {
-                                    role: "user",
-                                    content: [
-                                        { type: "text", text: promptText },
-                                        ...validImageContents
-                                    ]
-                                };
-                                
-                                // Replace the text-only message with the multimodal message
-                                if (messages.length > 0 && messages[messages.length - 1].role === "user") {
-                                    messages.pop(); // Remove the text-only message
-                                }
-                                
-                                messages.push(imageMessage);
-                                console.log("Added Claude-formatted image message with", validImageContents.length, "images");
-                            } else {
-                                console.error("❌ Failed to process any images for Claude");
-                                res.write(`data: ${JSON.stringify({ error: "Failed to process image attachments for Claude" })}\n\n`);
-                                return res.end();
-                            }
-                        }
-                        // For OpenAI models
-                        else if (!selectedModel.includes("gemini") && !selectedModel.includes("grok")) {
-                            console.log("Preparing images for OpenAI");
-                            const imageContents = await prepareImagesForModel(imageFiles, "openai");
-                            const validImageContents = imageContents.filter(item => item !== null);
-                            
-                            console.log(`Valid OpenAI image contents: ${validImageContents.length}`);
-                            
-                            if (validImageContents.length > 0) {
-                                const promptText = userContent || "Please analyze these images and provide insights:";
-                                
-                                const imageMessage = {
-                                    role: "user",
-                                    content: [
-                                        { type: "text", text: promptText },
-                                        ...validImageContents
-                                    ]
-                                };
-                                
-                                // Replace the text-only message with the multimodal message
-                                if (messages.length > 0 && messages[messages.length - 1].role === "user") {
-                                    messages.pop(); // Remove the text-only message
-                                }
-                                
-                                messages.push(imageMessage);
-                                console.log("Added OpenAI-formatted image message with", validImageContents.length, "images");
-                            } else {
-                                console.error("❌ Failed to process any images for OpenAI");
-                                res.write(`data: ${JSON.stringify({ error: "Failed to process image attachments for OpenAI" })}\n\n`);
-                                return res.end();
-                            }
-                        }
-                        // For Grok models
-                        else if (selectedModel.includes("grok")) {
-                            console.log("Preparing images for Grok");
-                            const imageContents = await prepareImagesForModel(imageFiles, "grok");
-                            const validImageContents = imageContents.filter(item => item !== null);
-                            
-                            console.log(`Valid Grok image contents: ${validImageContents.length}`);
-                            
-                            if (validImageContents.length > 0) {
-                                const promptText = userContent || "Please analyze these images and provide insights:";
-                                
-                                const imageMessage = {
-                                    role: "user",
-                                    content: [
-                                        { type: "text", text: promptText },
-                                        ...validImageContents
-                                    ]
-                                };
-                                
-                                // Replace the text-only message with the multimodal message
-                                if (messages.length > 0 && messages[messages.length - 1].role === "user") {
-                                    messages.pop(); // Remove the text-only message
-                                }
-                                
-                                messages.push(imageMessage);
-                                console.log("Added Grok-formatted image message with", validImageContents.length, "images");
-                            } else {
-                                console.error("❌ Failed to process any images for Grok");
-                                res.write(`data: ${JSON.stringify({ error: "Failed to process image attachments for Grok" })}\n\n`);
-                                return res.end();
-                            }
-                        }
-                        // For Gemini models - handled separately when calling the service
-                        else if (selectedModel.includes("gemini")) {
-                            console.log("Images for Gemini will be handled by the Gemini service directly");
-                        }
-                    } catch (imgProcessError) {
-                        console.error("Error processing images:", imgProcessError);
-                        res.write(`data: ${JSON.stringify({ error: "Error processing images: " + imgProcessError.message })}\n\n`);
-                        return res.end();
-                    }
-                }
-                
-                // Create a function to handle saving completed chats
-                const saveCompletedChat = async (completeResponse) => {
-                    // Update conversation history in memory
-                    if (userContent && !conversationHistory.some(msg => msg.role === "user" && msg.content === userContent)) {
-                        conversationHistory.push({ role: "user", content: userContent });
-                    }
-                    conversationHistory.push({ role: "assistant", content: completeResponse });
-                    
-                    // Save to database
-                    try {
-                        if (!existingChat) {
-                            const chatMessages = [
-                                { role: "user", content: userContent },
-                                { role: "assistant", content: completeResponse }
-                            ];
-                            await supabase.from('chats').insert({
-                                id: sessionId,
-                                user_id: data.user.id,
-                                messages: chatMessages,
-                                message_count: 1
-                            });
-                        } else {
-                            const updatedMessages = existingChat.messages ? [...existingChat.messages] : [];
-                            updatedMessages.push({ role: "user", content: userContent });
-                            updatedMessages.push({ role: "assistant", content: completeResponse });
-                            await supabase.from('chats').update({
-                                messages: updatedMessages,
-                                message_count: (existingChat.message_count || 0) + 1
-                            }).eq('id', sessionId);
-                        }
-                    } catch (err) {
-                        console.error("Error saving chat to database:", err);
-                    }
-                };
-                
-                // ** Handle different model types with cleaner logic **
-                if (selectedModel.includes("gemini")) {
-                    // Gemini API (non-streaming but using SSE format)
-                    try {
-                        console.log("Calling Gemini service with", imageFiles.length, "images");
-                        
-                        // Safety check - make sure we have some content
-                        const geminiUserContent = userContent || "Please analyze these images.";
-                        
-                        // Pass image files to Gemini service
-                        const botReply = await handleGeminiStreamingRequest(res, geminiUserContent, selectedModel, imageFiles);
-                        
-                        // Update conversation history in memory
-                        conversationHistory.push({ role: "user", content: userContent });
-                        conversationHistory.push({ role: "assistant", content: botReply });
-                        
-                        // Save chat to database
-                        try {
-                            if (!existingChat) {
-                                const chatMessages = [
-                                    { role: "user", content: userContent },
-                                    { role: "assistant", content: botReply }
-                                ];
-                                await supabase.from('chats').insert({
-                                    id: sessionId,
-                                    user_id: data.user.id,
-                                    messages: chatMessages,
-                                    message_count: 1
-                                });
-                            } else {
-                                const updatedMessages = existingChat.messages ? [...existingChat.messages] : [];
-                                updatedMessages.push({ role: "user", content: userContent });
-                                updatedMessages.push({ role: "assistant", content: botReply });
-                                await supabase.from('chats').update({
-                                    messages: updatedMessages,
-                                    message_count: (existingChat.message_count || 0) + 1
-                                }).eq('id', sessionId);
-                            }
-                        } catch (err) {
-                            console.error("Error saving chat to database:", err);
-                        }
-                        
-                        return; // Already sent done message in handleGeminiStreamingRequest
-                    } catch (error) {
-                        console.error("Gemini API Error:", error);
-                        // Error already handled in handleGeminiStreamingRequest
-                        return;
-                    }
-                } 
-                else if (selectedModel.includes("claude")) {
-                    // Claude API (streaming)
-                    try {
-                        console.log("Calling Claude streaming with message count:", messages.length);
-                        await generateClaudeStreamingResponse(res, messages, selectedModel, saveCompletedChat);
-                        return; // Already sent done message in streaming function
-                    } catch (error) {
-                        console.error("Claude API Error:", error);
-                        // Error already handled in streaming function
-                        return;
-                    }
-                } 
-                else if (selectedModel.includes("grok")) {
-                    // Grok API (streaming)
-                    try {
-                        console.log("Calling Grok streaming with message count:", messages.length);
-                        await generateGrokStreamingResponse(res, messages, selectedModel, saveCompletedChat);
-                        return; // Already sent done message in streaming function
-                    } catch (error) {
-                        console.error("Grok API Error:", error);
-                        // Error already handled in streaming function
-                        return;
-                    }
-                }
-                else if (selectedModel.includes("deepseek")) {
-                    // Deepseek API (streaming)
-                    try {
-                        console.log("Calling Deepseek streaming with message count:", messages.length);
-                        await generateDeepseekStreamingResponse(res, messages, selectedModel, saveCompletedChat);
-                        return; // Already sent done message in streaming function
-                    } catch (error) {
-                        console.error("Deepseek API Error:", error);
-                        // Error already handled in streaming function
-                        return;
-                    }
-                } 
-                else {
-                    // OpenAI API (streaming) - default
-                    console.log("Calling OpenAI streaming with message count:", messages.length);
-                    await generateOpenAIStreamingResponse(res, messages, selectedModel, saveCompletedChat);
-                }
-                
-                // Note: we don't need to end the stream here as it's handled inside the streaming functions
-            } catch (error) {
-                console.error("❌ API Streaming Error:", error);
-                res.write(`data: ${JSON.stringify({ error: "Failed to generate AI response", details: error.message })}\n\n`);
-                res.end();
-            }
-        } catch (err) {
-            console.error("🚨 Exception in auth:", err);
-            res.write(`data: ${JSON.stringify({ error: "Authentication error", details: err.message })}\n\n`);
-            res.end();
-        }
-    } catch (error) {
-        console.error("❌ Server Streaming Error:", error);
-        res.write(`data: ${JSON.stringify({ error: "Internal server error", details: error.message })}\n\n`);
-        res.end();
-    }
-});
+// ** Streaming Chat API Endpoint (server-sent events) **
+app.post("/api/chat/stream", rateLimiter.limitByIp, requireAuth, enhancedUpload, chatPipeline.handleChatStream);
 
 // Add route for the main application
 app.get('/', (req, res) => {
@@ -1087,192 +488,450 @@ app.get("/api/auth-check", async (req, res) => {
     }
     
     try {
-        const token = authHeader.split(' ')[1];
-        const { data, error } = await supabase.auth.getUser(token);
-        
-        if (error) {
-            return res.json({
-                status: "auth-error",
-                message: error.message,
-                details: error
-            });
-        }
+        const user = await authenticateRequest(req);
         
-        if (data.user) {
-            // Check subscription status
-            const isSubscribed = await isUserSubscribed(data.user.id);
-            return res.json({
-                status: "authenticated",
-                user: {
-                    id: data.user.id,
-                    email: data.user.email,
-                    isSubscribed: isSubscribed
-                }
-            });
-        } else {
-            return res.json({
-                status: "no-user",
-                message: "Token valid but no user found"
-            });
-        }
+        // Check subscription status
+        const { isSubscribed, planId } = await loadUserSubscription(user.id);
+        return res.json({
+            status: "authenticated",
+            user: {
+                id: user.id,
+                email: user.email,
+                isSubscribed: isSubscribed,
+                plan: planId
+            }
+        });
     } catch (err) {
         return res.json({
-            status: "exception",
+            status: err.status ? "auth-error" : "exception",
             message: err.message
         });
     }
 });
 
 // Delete Chat Endpoint
-app.delete("/api/chat/:sessionId", async (req, res) => {
-    const sessionId = req.params.sessionId;
+app.delete("/api/chat/:sessionId", requireAuth, async (req, res) => {
+    // The id also names the chat's upload folder, so reject anything but a plain id
+    const sessionId = canonicalizeSessionId(req.params.sessionId);
     if (!sessionId) {
-        return res.status(400).json({ error: "Chat ID is required." });
+        return res.status(400).json({ error: "A valid chat ID is required." });
     }
     
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        return res.status(401).json({ error: "Missing Authorization header" });
+    try {
+        // Remove the chat's uploads first, while the file library still lists them
+        await fileRetention.deleteChatFiles(sessionId, req.user.id);
+        // Removes the chat row and its cached selected model
+        await conversationStore.deleteSession(sessionId, req.user.id);
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error deleting chat:", err);
+        res.status(500).json({ error: "Failed to delete chat." });
     }
-    
-    console.log("Delete chat - Auth header:", authHeader.substring(0, 15) + "...");
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ error: "Malformed Authorization header" });
+});
+
+/**
+ * Express middleware for routes under /api/chat/:sessionId/files. Rejects
+ * anything but a plain chat id, like chat deletion does, and sets
+ * req.sessionId to the canonical id.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireChatId(req, res, next) {
+    const sessionId = canonicalizeSessionId(req.params.sessionId);
+    if (!sessionId) {
+        return res.status(400).json({ error: "A valid chat ID is required." });
     }
-    
+    req.sessionId = sessionId;
+    next();
+}
+
+/**
+ * Describe a library file for the client (without its server path)
+ *
+ * @param {Object} file - File info from the conversation store
+ * @returns {Object} { id, name, mimetype, size, pinned, uploadedAt }
+ */
+function toClientFile(file) {
+    return {
+        id: file.id,
+        name: file.originalName,
+        mimetype: file.mimetype,
+        size: file.size,
+        pinned: !!file.pinned,
+        uploadedAt: file.uploadedAt
+    };
+}
+
+// List the files uploaded to a chat
+app.get("/api/chat/:sessionId/files", requireAuth, requireChatId, async (req, res) => {
     try {
-        const { data, error: authError } = await supabase.auth.getUser(token);
-        
-        if (authError) {
-            console.error("DELETE AUTH ERROR:", authError.message);
-            return res.status(401).json({ error: "Authentication failed: " + authError.message });
+        const user = req.user;
+        const files = await conversationStore.getFiles(req.sessionId, user.id);
+        res.json({ files: files.map(toClientFile) });
+    } catch (err) {
+        console.error("Error listing chat files:", err);
+        res.status(500).json({ error: "Failed to list files." });
+    }
+});
+
+// Download one of a chat's files
+app.get("/api/chat/:sessionId/files/:fileId", requireAuth, requireChatId, async (req, res) => {
+    try {
+        const user = req.user;
+        const files = await conversationStore.getFiles(req.sessionId, user.id);
+        const file = files.find(f => f.id === req.params.fileId);
+        if (!file) {
+            return res.status(404).json({ error: "File not found." });
         }
-        
-        if (!data.user) {
-            return res.status(401).json({ error: "No user found for this token" });
+
+        // Stored files are served through a short-lived signed URL
+        if (file.storageKey) {
+            return res.redirect(await fileStorage.getSignedUrl(file.storageKey, { downloadName: file.originalName }));
         }
-        
-        try {
-            const { error: deleteError } = await supabase.from('chats').delete().eq('id', sessionId).eq('user_id', data.user.id);
-            if (deleteError) {
-                console.error("Error deleting chat:", deleteError);
-                return res.status(500).json({ error: "Failed to delete chat." });
-            }
-            
-            // Remove in-memory data for this session
-            sessionFiles.delete(sessionId);
-            userConversations.delete(sessionId);
-            userSelectedModel.delete(sessionId);
-            res.json({ success: true });
-        } catch (err) {
-            console.error("Error deleting chat:", err);
-            res.status(500).json({ error: "Internal server error" });
+
+        // Files uploaded before storage keys existed are only on local disk
+        if (!fs.existsSync(file.path)) {
+            return res.status(404).json({ error: "File not found." });
         }
+        res.download(file.path, file.originalName);
     } catch (err) {
-        console.error("Exception in delete auth:", err);
-        return res.status(500).json({ error: "Authentication error" });
+        console.error("Error fetching chat file:", err);
+        res.status(500).json({ error: "Failed to fetch file." });
     }
 });
 
-// Stripe Checkout Session Endpoint
-app.post("/api/create-checkout-session", express.json(), async (req, res) => {
-    console.log("💰 Create checkout session request received");
-    
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        console.error("Missing Authorization header in checkout request");
-        return res.status(401).json({ error: "Missing Authorization header" });
+// Pin or unpin a file so it's re-attached to every later message in the chat
+app.patch("/api/chat/:sessionId/files/:fileId", requireAuth, requireChatId, async (req, res) => {
+    if (typeof req.body?.pinned !== 'boolean') {
+        return res.status(400).json({ error: "Request body must include pinned: true or false." });
     }
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-        console.error("Malformed Authorization header in checkout request");
-        return res.status(401).json({ error: "Malformed Authorization header" });
+
+    try {
+        const user = req.user;
+        const file = await conversationStore.updateFile(req.sessionId, user.id, req.params.fileId, { pinned: req.body.pinned });
+        if (!file) {
+            return res.status(404).json({ error: "File not found." });
+        }
+
+        console.log(`📌 ${file.pinned ? 'Pinned' : 'Unpinned'} ${file.originalName} in session ${req.sessionId}`);
+        res.json({ file: toClientFile(file) });
+    } catch (err) {
+        console.error("Error updating chat file:", err);
+        res.status(500).json({ error: "Failed to update file." });
     }
-    
-    console.log("Creating checkout with token starting with:", token.substring(0, 10) + "...");
+});
+
+// Remove a file from a chat's library and delete it from disk
+app.delete("/api/chat/:sessionId/files/:fileId", requireAuth, requireChatId, async (req, res) => {
+    try {
+        const user = req.user;
+        const file = await conversationStore.removeFile(req.sessionId, user.id, req.params.fileId);
+        if (!file) {
+            return res.status(404).json({ error: "File not found." });
+        }
+
+        // Content-addressed keys are shared by identical uploads in the chat
+        const remaining = await conversationStore.getFiles(req.sessionId, user.id);
+        if (file.storageKey && !remaining.some(f => f.storageKey === file.storageKey)) {
+            await fileStorage.delete(file.storageKey).catch(err => {
+                console.warn(`⚠️ Could not delete ${file.storageKey} from storage:`, err.message);
+            });
+        } else if (!file.storageKey) {
+            await fs.promises.unlink(file.path).catch(err => {
+                console.warn(`⚠️ Could not delete ${file.path} from disk:`, err.message);
+            });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error("Error deleting chat file:", err);
+        res.status(500).json({ error: "Failed to delete file." });
+    }
+});
+
+// The signed-in user's plan, limits and which models they can use
+app.get("/api/me/entitlements", requireAuth, (req, res) => {
+    res.json(entitlements.describeEntitlements(req.entitlements));
+});
+
+// Ways /api/usage can group usage, and the range it covers by default and at most
+const USAGE_GROUP_BY = ['model', 'day', 'chat'];
+const USAGE_DEFAULT_DAYS = 30;
+const USAGE_MAX_DAYS = 366;
+
+/**
+ * Parse and validate the /api/usage query. A bare date (YYYY-MM-DD) for
+ * "to" covers that whole day.
+ *
+ * @param {Object} query - { from, to, groupBy }
+ * @returns {Object} { from, to, groupBy } or { error }
+ */
+function parseUsageQuery(query) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const groupBy = query.groupBy || 'day';
+    if (!USAGE_GROUP_BY.includes(groupBy)) {
+        return { error: `groupBy must be one of: ${USAGE_GROUP_BY.join(', ')}` };
+    }
+
+    const to = query.to ? new Date(query.to) : new Date();
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCHours(23, 59, 59, 999);
+    }
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - USAGE_DEFAULT_DAYS * DAY_MS);
+
+    if (isNaN(from) || isNaN(to)) {
+        return { error: "from and to must be ISO 8601 dates." };
+    }
+    if (from > to) {
+        return { error: "from must be before to." };
+    }
+    if (to - from > USAGE_MAX_DAYS * DAY_MS) {
+        return { error: `The range can be at most ${USAGE_MAX_DAYS} days.` };
+    }
+    return { from, to, groupBy };
+}
+
+// Tokens, messages and estimated cost for the signed-in user, plus what's left
+// of their plan's quotas (messages are counted in the chat given by ?chatId=)
+app.get("/api/usage", requireAuth, async (req, res) => {
+    const range = parseUsageQuery(req.query);
+    if (range.error) {
+        return res.status(400).json({ error: range.error, code: 'invalid_usage_query' });
+    }
+
+    try {
+        const user = req.user;
+        const summary = await usageLedger.getUsageSummary(user.id, range);
+
+        // Quotas are null when the plan has no limit
+        const { maxChats, maxMessagesPerChat } = req.entitlements.limits;
+        let allowance = null;
+        if (maxChats !== null || maxMessagesPerChat !== null) {
+            const chatId = canonicalizeSessionId(req.query.chatId);
+            const chat = chatId && maxMessagesPerChat !== null ? await conversationStore.getChat(chatId, user.id) : null;
+            allowance = {
+                chats: maxChats !== null ? { used: await conversationStore.countChats(user.id), limit: maxChats } : null,
+                messages: maxMessagesPerChat !== null ? { chatId, used: chat?.messageCount || 0, limit: maxMessagesPerChat } : null
+            };
+        }
+
+        res.json({ ...summary, plan: req.entitlements.plan, planName: req.entitlements.planName, allowance });
+    } catch (err) {
+        console.error("Error loading usage:", err);
+        res.status(500).json({ error: "Failed to load usage." });
+    }
+});
+
+// Serve signed download URLs for the local storage driver
+app.get("/api/storage/download", async (req, res) => {
+    if (!fileStorage.verifySignedUrl) {
+        return res.status(404).json({ error: "Not found." });
+    }
+
+    if (!fileStorage.verifySignedUrl(req.query)) {
+        return res.status(403).json({ error: "Invalid or expired download link." });
+    }
+
+    try {
+        const filePath = await fileStorage.getLocalPath(req.query.key);
+        if (!filePath) {
+            return res.status(404).json({ error: "File not found." });
+        }
+        res.download(filePath, req.query.name || path.basename(filePath));
+    } catch (err) {
+        console.error("Error serving signed download:", err);
+        res.status(400).json({ error: "Invalid download link." });
+    }
+});
+
+// Plans that can be bought at checkout, and their billing intervals
+app.get("/api/billing/plans", (req, res) => {
+    res.json({ plans: priceCatalog.listCheckoutOptions() });
+});
+
+// Stripe Checkout Session Endpoint. Body: { planId, interval }, defaulting to
+// the default paid plan, billed monthly.
+app.post("/api/create-checkout-session", requireAuth, express.json(), async (req, res) => {
+    const planId = req.body?.planId || config.defaultPaidPlan;
+    const interval = req.body?.interval || 'month';
+    console.log(`💰 Creating ${planId} (${interval}) checkout session for user:`, req.user.email);
     
     try {
-        const { data, error: authError } = await supabase.auth.getUser(token);
-        
-        if (authError) {
-            console.error("Auth error in checkout:", authError.message);
-            return res.status(401).json({ error: "Authentication failed: " + authError.message });
+        if (!BILLING_INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                error: `Billing interval must be one of: ${BILLING_INTERVALS.join(', ')}`,
+                code: 'invalid_billing_interval'
+            });
         }
         
-        if (!data.user) {
-            console.error("No user found for token in checkout");
-            return res.status(401).json({ error: "No user found for this token" });
+        const priceId = priceCatalog.getPriceId(planId, interval);
+        if (!priceId) {
+            return res.status(400).json({
+                error: `The ${config.plans[planId]?.name || planId} plan isn't available with ${interval}ly billing.`,
+                code: 'unknown_price'
+            });
         }
         
-        console.log("✅ Creating checkout for user:", data.user.email);
+        // Subscription status from requireAuth
+        const isSubscribed = req.entitlements.isSubscribed;
         
-        try {
-            // Check subscription status with improved helper
-            const isSubscribed = await isUserSubscribed(data.user.id);
-            
-            // If already subscribed, prevent duplicate checkout
-            if (isSubscribed) {
-                console.log("User already subscribed:", data.user.id);
-                return res.status(400).json({ error: "You already have an active subscription." });
-            }
-            
-            // Ensure user record exists
-            const { data: userRecord } = await supabase
-                .from('users')
-                .select('id')
-                .eq('id', data.user.id)
-                .maybeSingle();
-                
-            if (!userRecord) {
-                console.log("Creating user record for checkout...");
-                await supabase.from('users').insert({
-                    id: data.user.id,
-                    email: data.user.email,
-                    is_subscribed: false,
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                });
-            }
+        // If already subscribed, prevent duplicate checkout
+        if (isSubscribed) {
+            console.log("User already subscribed:", req.user.id);
+            return res.status(400).json({ error: "You already have an active subscription. Manage or change it from your account.", code: 'already_subscribed' });
+        }
+        
+        // Ensure user record exists
+        const { data: userRecord } = await supabase
+            .from('users')
+            .select('id')
+            .eq('id', req.user.id)
+            .maybeSingle();
             
-            // Make sure STRIPE_PRICE_ID is set
-            if (!process.env.STRIPE_PRICE_ID) {
-                console.error("STRIPE_PRICE_ID not configured");
-                return res.status(500).json({ error: "Subscription service not properly configured. Please contact support." });
+        if (!userRecord) {
+            console.log("Creating user record for checkout...");
+            await supabase.from('users').insert({
+                id: req.user.id,
+                email: req.user.email,
+                is_subscribed: false,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            });
+        }
+        
+        // The plan is tagged on the subscription too, so the webhook can tell which plan was bought
+        const planMetadata = { supabase_user_id: req.user.id, plan_id: planId, billing_interval: interval };
+        const subscriptionData = { metadata: planMetadata };
+        if (config.stripe.trialDays > 0) {
+            subscriptionData.trial_period_days = config.stripe.trialDays;
+        }
+        
+        // Create the checkout session with improved metadata
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            mode: 'subscription',
+            line_items: [{ 
+                price: priceId, 
+                quantity: 1 
+            }],
+            allow_promotion_codes: config.stripe.allowPromotionCodes,
+            success_url: `${req.headers.origin || 'http://localhost:5050'}/?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${req.headers.origin || 'http://localhost:5050'}/?checkout=cancel`,
+            customer_email: req.user.email,
+            client_reference_id: req.user.id,
+            subscription_data: subscriptionData,
+            metadata: { 
+                ...planMetadata,
+                user_email: req.user.email 
             }
-            
-            // Create the checkout session with improved metadata
-            const session = await stripe.checkout.sessions.create({
-                payment_method_types: ['card'],
-                mode: 'subscription',
-                line_items: [{ 
-                    price: process.env.STRIPE_PRICE_ID, 
-                    quantity: 1 
-                }],
-                success_url: `${req.headers.origin || 'http://localhost:5050'}/?checkout=success&session_id={CHECKOUT_SESSION_ID}`,
-                cancel_url: `${req.headers.origin || 'http://localhost:5050'}/?checkout=cancel`,
-                customer_email: data.user.email,
-                client_reference_id: data.user.id,
-                subscription_data: {
-                    metadata: { supabase_user_id: data.user.id }
-                },
-                metadata: { 
-                    supabase_user_id: data.user.id,
-                    user_email: data.user.email 
-                }
+        });
+        
+        console.log("✅ Checkout session created:", session.id);
+        res.json({ url: session.url });
+    } catch (error) {
+        console.error("Stripe checkout error:", error);
+        res.status(500).json({ error: "Unable to create checkout session: " + error.message });
+    }
+});
+
+/**
+ * Convert a Stripe timestamp (seconds since the epoch) to an ISO date
+ *
+ * @param {number|null} seconds - Stripe timestamp
+ * @returns {string|null} ISO date, or null if unset
+ */
+function fromStripeTimestamp(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+// Open the Stripe Billing Portal, where subscribers cancel, change plan or card, and get invoices
+app.post("/api/billing/portal", requireAuth, requirePremium, express.json(), async (req, res) => {
+    try {
+        const { data: profile, error } = await supabase
+            .from('users')
+            .select('stripe_customer_id')
+            .eq('id', req.user.id)
+            .maybeSingle();
+        if (error) throw new Error("Failed to load user record: " + error.message);
+        
+        if (!profile?.stripe_customer_id) {
+            return res.status(404).json({
+                error: "No billing account found. Subscribe to a plan first.",
+                code: 'no_billing_account'
             });
-            
-            console.log("✅ Checkout session created:", session.id);
-            res.json({ url: session.url });
-        } catch (error) {
-            console.error("Stripe checkout error:", error);
-            res.status(500).json({ error: "Unable to create checkout session: " + error.message });
         }
+        
+        const portalSession = await stripe.billingPortal.sessions.create({
+            customer: profile.stripe_customer_id,
+            return_url: `${req.headers.origin || 'http://localhost:5050'}/?billing=return`,
+            ...(config.stripe.portalConfigurationId && { configuration: config.stripe.portalConfigurationId })
+        });
+        
+        console.log(`🧾 Billing portal session created for ${req.user.email}`);
+        res.json({ url: portalSession.url });
+    } catch (err) {
+        console.error("Stripe billing portal error:", err);
+        res.status(500).json({ error: "Unable to open the billing portal: " + err.message });
+    }
+});
+
+// The user's plan, subscription renewal and cancellation state, and recent invoices
+app.get("/api/billing/subscription", requireAuth, async (req, res) => {
+    try {
+        const { data: profile, error } = await supabase
+            .from('users')
+            .select('billing_interval, stripe_customer_id, stripe_subscription_id')
+            .eq('id', req.user.id)
+            .maybeSingle();
+        if (error) throw new Error("Failed to load user record: " + error.message);
+        
+        const result = {
+            plan: req.entitlements.plan,
+            planName: req.entitlements.planName,
+            isSubscribed: req.entitlements.isSubscribed,
+            hasBillingAccount: !!profile?.stripe_customer_id,
+            subscription: null,
+            invoices: []
+        };
+        
+        if (profile?.stripe_subscription_id) {
+            const subscription = await stripe.subscriptions.retrieve(profile.stripe_subscription_id);
+            const item = subscription.items?.data?.[0];
+            result.subscription = {
+                id: subscription.id,
+                status: subscription.status,
+                interval: item?.price?.recurring?.interval || profile.billing_interval || null,
+                // Newer API versions report the billing period on the subscription item
+                currentPeriodEnd: fromStripeTimestamp(subscription.current_period_end ?? item?.current_period_end),
+                cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+                cancelAt: fromStripeTimestamp(subscription.cancel_at),
+                trialEnd: fromStripeTimestamp(subscription.trial_end)
+            };
+        }
+        
+        if (profile?.stripe_customer_id) {
+            const { data: invoices } = await stripe.invoices.list({
+                customer: profile.stripe_customer_id,
+                limit: config.stripe.recentInvoices
+            });
+            result.invoices = invoices.map(invoice => ({
+                id: invoice.id,
+                number: invoice.number,
+                status: invoice.status,
+                total: invoice.total,
+                amountPaid: invoice.amount_paid,
+                currency: invoice.currency,
+                created: fromStripeTimestamp(invoice.created),
+                hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+                invoicePdf: invoice.invoice_pdf || null
+            }));
+        }
+        
+        res.json(result);
     } catch (err) {
-        console.error("Exception in checkout auth:", err);
-        return res.status(500).json({ error: "Authentication error: " + err.message });
+        console.error("Billing subscription lookup error:", err);
+        res.status(500).json({ error: "Unable to load subscription details: " + err.message });
     }
 });
 
@@ -1313,6 +972,10 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
                 console.log(`Webhook: Processing subscription for user ID: ${userId}, email: ${userEmail}`);
                 
                 if (userId) {
+                    // The subscription's price says which plan was bought
+                    const subscription = await stripe.subscriptions.retrieve(session.subscription);
+                    const access = subscriptionAccess(subscription);
+                    
                     // First check if user record exists
                     const { data: existingUser } = await supabase
                         .from('users')
@@ -1328,7 +991,7 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
                             .insert({
                                 id: userId,
                                 email: userEmail,
-                                is_subscribed: true,
+                                ...access,
                                 stripe_customer_id: session.customer,
                                 stripe_subscription_id: session.subscription,
                                 created_at: new Date().toISOString(),
@@ -1340,7 +1003,7 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
                         const { error } = await supabase
                             .from('users')
                             .update({ 
-                                is_subscribed: true,
+                                ...access,
                                 stripe_customer_id: session.customer,
                                 stripe_subscription_id: session.subscription,
                                 updated_at: new Date().toISOString()
@@ -1350,7 +1013,7 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
                         if (error) {
                             console.error("Failed to update user subscription status:", error);
                         } else {
-                            console.log(`✅ User ${userId} subscription activated successfully`);
+                            console.log(`✅ User ${userId} subscription activated successfully (plan: ${access.plan || 'unknown'})`);
                         }
                     }
                 } else {
@@ -1381,15 +1044,13 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
             }
             
             if (userId) {
-                // Update subscription status based on Stripe status
-                const isSubscribed = 
-                    subscription.status === 'active' || 
-                    subscription.status === 'trialing';
+                // Update subscription status and plan based on Stripe status and price
+                const access = subscriptionAccess(subscription);
                 
                 const { error } = await supabase
                     .from('users')
                     .update({ 
-                        is_subscribed: isSubscribed,
+                        ...access,
                         updated_at: new Date().toISOString()
                     })
                     .eq('id', userId);
@@ -1397,7 +1058,7 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
                 if (error) {
                     console.error("Failed to update subscription status:", error);
                 } else {
-                    console.log(`User ${userId} subscription status updated to: ${isSubscribed ? 'active' : 'inactive'}`);
+                    console.log(`User ${userId} subscription status updated to: ${access.is_subscribed ? `active (${access.plan || 'unknown plan'})` : 'inactive'}`);
                 }
             } else {
                 console.error("Could not find user for subscription:", subscription.id);
@@ -1413,36 +1074,16 @@ app.post("/webhook", express.raw({ type: "application/json" }), async (req, res)
 });
 
 // Manual subscription check endpoint (for debugging)
-app.get("/api/subscription-check", async (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        return res.status(401).json({ error: "Missing Authorization header" });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ error: "Malformed Authorization header" });
-    }
-    
+app.get("/api/subscription-check", requireAuth, async (req, res) => {
     try {
-        const { data, error: authError } = await supabase.auth.getUser(token);
-        
-        if (authError) {
-            return res.status(401).json({ error: "Authentication failed: " + authError.message });
-        }
-        
-        if (!data.user) {
-            return res.status(401).json({ error: "No user found for this token" });
-        }
-        
-        // Use our improved subscription check method
-        const isSubscribed = await isUserSubscribed(data.user.id);
+        // Computed by requireAuth with our improved subscription check method
+        const isSubscribed = req.entitlements.isSubscribed;
         
         // Get full data for diagnostics
         const { data: profile, error } = await supabase
             .from('users')
-            .select('is_subscribed, stripe_customer_id, stripe_subscription_id, updated_at')
-            .eq('id', data.user.id)
+            .select('is_subscribed, plan, billing_interval, stripe_customer_id, stripe_subscription_id, updated_at')
+            .eq('id', req.user.id)
             .single();
         
         // If Stripe ID exists, check Stripe status directly
@@ -1453,8 +1094,12 @@ app.get("/api/subscription-check", async (req, res) => {
                 
                 return res.json({ 
                     isSubscribed: isSubscribed,
+                    plan: req.entitlements.plan,
                     dbValue: profile?.is_subscribed || false,
+                    dbPlan: profile?.plan || null,
+                    dbBillingInterval: profile?.billing_interval || null,
                     stripeStatus: stripeStatus,
+                    stripePriceId: subscription.items?.data?.[0]?.price?.id || null,
                     stripeSubscriptionId: profile.stripe_subscription_id,
                     stripeCustomerId: profile.stripe_customer_id,
                     lastUpdated: profile.updated_at
@@ -1464,7 +1109,9 @@ app.get("/api/subscription-check", async (req, res) => {
                 // Fall back to computed status
                 return res.json({ 
                     isSubscribed: isSubscribed,
+                    plan: req.entitlements.plan,
                     dbValue: profile?.is_subscribed || false,
+                    dbPlan: profile?.plan || null,
                     note: "Could not verify with Stripe directly",
                     stripeError: stripeErr.message,
                     lastUpdated: profile?.updated_at
@@ -1473,7 +1120,9 @@ app.get("/api/subscription-check", async (req, res) => {
         } else {
             return res.json({ 
                 isSubscribed: isSubscribed,
+                plan: req.entitlements.plan,
                 dbValue: profile?.is_subscribed || false,
+                dbPlan: profile?.plan || null,
                 note: "No Stripe subscription ID found",
                 lastUpdated: profile?.updated_at || "unknown"
             });
@@ -1484,163 +1133,20 @@ app.get("/api/subscription-check", async (req, res) => {
     }
 });
 
-// Force update subscription status endpoint
-app.get("/api/force-subscription-update", async (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        return res.status(401).json({ error: "Missing Authorization header" });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ error: "Malformed Authorization header" });
-    }
-    
+// Re-check the user's subscription with Stripe and store the result
+app.post("/api/subscription/reconcile", requireAuth, express.json(), async (req, res) => {
     try {
-        const { data, error: authError } = await supabase.auth.getUser(token);
-        
-        if (authError || !data.user) {
-            return res.status(401).json({ error: "Authentication failed" });
-        }
-        
-        // Check if user record exists
-        const { data: userRecord } = await supabase
-            .from('users')
-            .select('id')
-            .eq('id', data.user.id)
-            .maybeSingle();
-            
-        if (!userRecord) {
-            // Create user record if it doesn't exist
-            await supabase.from('users').insert({
-                id: data.user.id,
-                email: data.user.email,
-                is_subscribed: true,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            });
-        } else {
-            // Force set subscription to true
-            await supabase
-                .from('users')
-                .update({ 
-                    is_subscribed: true,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', data.user.id);
-        }
-        
-        return res.json({ 
-            success: true, 
-            message: "Subscription status forcibly updated to active",
-            userId: data.user.id
-        });
+        const user = req.user;
+        const result = await reconcileSubscription(user, req.body?.checkoutSessionId);
+        return res.json({ success: true, ...result });
     } catch (err) {
-        console.error("Error:", err);
+        console.error("Subscription reconcile error:", err);
         return res.status(500).json({ error: "Server error", details: err.message });
     }
 });
 
-// Debug endpoint to check and fix database issues
-app.get("/api/fix-db", async (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        return res.status(401).json({ error: "Missing Authorization header" });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    if (!token) {
-        return res.status(401).json({ error: "Malformed Authorization header" });
-    }
-    
-    try {
-        // Get user from token
-        const { data, error: authError } = await supabase.auth.getUser(token);
-        if (authError || !data.user) {
-            return res.status(401).json({ error: "Authentication failed" });
-        }
-        
-        // Check if users table exists
-        const { error: tableCheckError } = await supabase.from('users').select('count').limit(1);
-        if (tableCheckError) {
-            console.error("Table check error:", tableCheckError.message);
-            return res.status(500).json({
-                error: "Database structure issue",
-                details: "The users table appears to be missing or inaccessible",
-                resolution: "Please check your Supabase database structure"
-            });
-        }
-        
-        // Table exists, check if user record exists
-        const { data: userData, error: userCheckError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', data.user.id)
-            .maybeSingle();
-            
-        if (userCheckError) {
-            console.error("User check error:", userCheckError.message);
-            return res.status(500).json({ error: "Error checking user record" });
-        }
-        
-        if (!userData) {
-            // User record doesn't exist, create it
-            console.log("Creating user record...");
-            const { error: insertError } = await supabase
-                .from('users')
-                .insert({
-                    id: data.user.id,
-                    email: data.user.email,
-                    is_subscribed: true, // Force set as subscriber
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                });
-                
-            if (insertError) {
-                console.error("Insert error:", insertError.message);
-                return res.status(500).json({ error: "Failed to create user record" });
-            }
-            
-            return res.json({
-                success: true,
-                action: "created_user",
-                message: "Created new user record with premium access"
-            });
-        } else {
-            // User exists, update subscription status
-            console.log("Updating existing user...");
-            const { error: updateError } = await supabase
-                .from('users')
-                .update({
-                    is_subscribed: true,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', data.user.id);
-                
-            if (updateError) {
-                console.error("Update error:", updateError.message);
-                return res.status(500).json({ error: "Failed to update subscription status" });
-            }
-            
-            return res.json({
-                success: true,
-                action: "updated_user",
-                message: "Updated user to premium status",
-                user: {
-                    id: data.user.id,
-                    email: data.user.email,
-                    isSubscribed: true
-                }
-            });
-        }
-    } catch (err) {
-        console.error("Fix DB error:", err);
-        return res.status(500).json({ error: "Server error: " + err.message });
-    }
-});
-
-// API tests for various models
-app.get("/api/test-gemini-direct", async (req, res) => {
+// API tests for various models (development only: they spend provider credits)
+app.get("/api/test-gemini-direct", requireDebugMode, async (req, res) => {
     try {
       const testResult = await testGeminiConnection();
       return res.json(testResult);
@@ -1651,7 +1157,7 @@ app.get("/api/test-gemini-direct", async (req, res) => {
 });
 
 // Test Claude connection
-app.get("/api/test-claude-direct", async (req, res) => {
+app.get("/api/test-claude-direct", requireDebugMode, async (req, res) => {
     try {
       const testResult = await testClaudeConnection();
       return res.json(testResult);
@@ -1662,7 +1168,7 @@ app.get("/api/test-claude-direct", async (req, res) => {
 });
   
 // Test Grok connection
-app.get("/api/test-grok-direct", async (req, res) => {
+app.get("/api/test-grok-direct", requireDebugMode, async (req, res) => {
     try {
       const testResult = await testGrokConnection();
       return res.json(testResult);
@@ -1673,7 +1179,7 @@ app.get("/api/test-grok-direct", async (req, res) => {
 });
 
 // Test Deepseek connection
-app.get("/api/test-deepseek-direct", async (req, res) => {
+app.get("/api/test-deepseek-direct", requireDebugMode, async (req, res) => {
     try {
       const testResult = await testDeepseekConnection();
       return res.json(testResult);
@@ -1685,7 +1191,6 @@ app.get("/api/test-deepseek-direct", async (req, res) => {
 
 // Database repair endpoint (for emergency fixes)
 app.post("/api/admin/repair-database", express.json(), async (req, res) => {
-    // For admin use only - proper authentication would be needed in production
     try {
         const { userId } = req.body;
         
@@ -1693,7 +1198,7 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
             // Scan all users
             const { data: users, error: usersError } = await supabase
                 .from('users')
-                .select('id, email, is_subscribed, stripe_customer_id, stripe_subscription_id')
+                .select('id, email, is_subscribed, plan, stripe_customer_id, stripe_subscription_id')
                 .limit(100); // Limit to avoid overload
                 
             if (usersError) {
@@ -1707,14 +1212,14 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
                 if (user.stripe_subscription_id) {
                     try {
                         const subscription = await stripe.subscriptions.retrieve(user.stripe_subscription_id);
-                        const isActive = subscription.status === 'active' || subscription.status === 'trialing';
+                        const access = subscriptionAccess(subscription);
                         
                         // If mismatch, update
-                        if (user.is_subscribed !== isActive) {
+                        if (user.is_subscribed !== access.is_subscribed || user.plan !== access.plan) {
                             const { error } = await supabase
                                 .from('users')
                                 .update({ 
-                                    is_subscribed: isActive,
+                                    ...access,
                                     updated_at: new Date().toISOString()
                                 })
                                 .eq('id', user.id);
@@ -1723,7 +1228,9 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
                                 userId: user.id,
                                 email: user.email,
                                 oldStatus: user.is_subscribed,
-                                newStatus: isActive,
+                                newStatus: access.is_subscribed,
+                                oldPlan: user.plan,
+                                newPlan: access.plan,
                                 error: error ? error.message : null
                             });
                         }
@@ -1738,16 +1245,20 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
                 }
             }
             
+            await adminAuth.recordAdminAction(req, 'repair-database', {
+                details: { checkedUsers: users.length, updates }
+            });
+            
             return res.json({
                 success: true,
                 message: `Checked ${users.length} users, made ${updates.length} updates`,
                 updates
             });
         } else {
-            // Fix a specific user
+            // Fix a specific user from what Stripe reports (manual grants go through override-subscription)
             const { data: user, error: userError } = await supabase
                 .from('users')
-                .select('id, email, is_subscribed, stripe_customer_id, stripe_subscription_id')
+                .select('id, email, is_subscribed, plan, stripe_customer_id, stripe_subscription_id')
                 .eq('id', userId)
                 .single();
                 
@@ -1755,19 +1266,26 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
                 return res.status(404).json({ error: "User not found", details: userError?.message });
             }
             
-            // Force set is_subscribed to true
-            const { error } = await supabase
-                .from('users')
-                .update({ 
-                    is_subscribed: true,
-                    updated_at: new Date().toISOString()
-                })
-                .eq('id', userId);
+            const result = await reconcileSubscription({ id: user.id, email: user.email });
+                
+            await adminAuth.recordAdminAction(req, 'repair-database', {
+                targetUserId: userId,
+                details: {
+                    wasSubscribed: user.is_subscribed,
+                    isSubscribed: result.isSubscribed,
+                    oldPlan: user.plan,
+                    plan: result.planId,
+                    stripeStatus: result.stripeStatus
+                }
+            });
                 
             return res.json({
-                success: !error,
-                message: error ? `Failed to update user: ${error.message}` : `User ${user.email} subscription enabled`,
-                user: { ...user, is_subscribed: true }
+                success: true,
+                message: result.stripeStatus
+                    ? `User ${user.email} reconciled with Stripe: ${result.stripeStatus}${result.changed ? ' (updated)' : ''}`
+                    : `No Stripe subscription found for ${user.email}; nothing changed`,
+                user: { ...user, is_subscribed: result.isSubscribed, plan: result.planId },
+                ...result
             });
         }
     } catch (err) {
@@ -1778,18 +1296,21 @@ app.post("/api/admin/repair-database", express.json(), async (req, res) => {
 
 // Direct subscription debug endpoint to allow admin override
 app.post("/api/admin/override-subscription", express.json(), async (req, res) => {
-    // This is for debugging and development only - would need proper admin authentication in production
     try {
-        const { userId, action } = req.body;
+        const { userId, action, planId } = req.body;
         
         if (!userId) {
             return res.status(400).json({ error: "User ID is required" });
         }
+        // A manual grant has to say which plan it grants
+        if (action === 'enable' && (!planId || !config.plans[planId])) {
+            return res.status(400).json({ error: planId ? `Unknown plan "${planId}"` : "A planId is required to enable a subscription" });
+        }
         
         // Check if user exists
         const { data: userData, error: userError } = await supabase
             .from('users')
-            .select('id, email, is_subscribed')
+            .select('id, email, is_subscribed, plan')
             .eq('id', userId)
             .maybeSingle();
             
@@ -1799,11 +1320,12 @@ app.post("/api/admin/override-subscription", express.json(), async (req, res) =>
         
         // Update subscription status based on action
         if (action === 'enable') {
-            // Force enable subscription
+            // Force enable subscription on the given plan
             const { error } = await supabase
                 .from('users')
                 .update({ 
                     is_subscribed: true, 
+                    plan: planId,
                     updated_at: new Date().toISOString() 
                 })
                 .eq('id', userId);
@@ -1812,10 +1334,15 @@ app.post("/api/admin/override-subscription", express.json(), async (req, res) =>
                 return res.status(500).json({ error: "Failed to update subscription", details: error.message });
             }
             
+            await adminAuth.recordAdminAction(req, 'override-subscription', {
+                targetUserId: userId,
+                details: { action, wasSubscribed: userData.is_subscribed, isSubscribed: true, oldPlan: userData.plan, plan: planId }
+            });
+            
             return res.json({
                 success: true,
-                message: `Subscription enabled for user ${userData.email} (${userId})`,
-                user: { ...userData, is_subscribed: true }
+                message: `Subscription enabled for user ${userData.email} (${userId}) on the ${config.plans[planId].name} plan`,
+                user: { ...userData, is_subscribed: true, plan: planId }
             });
         } else if (action === 'disable') {
             // Force disable subscription
@@ -1823,6 +1350,7 @@ app.post("/api/admin/override-subscription", express.json(), async (req, res) =>
                 .from('users')
                 .update({ 
                     is_subscribed: false, 
+                    plan: null,
                     updated_at: new Date().toISOString() 
                 })
                 .eq('id', userId);
@@ -1831,10 +1359,15 @@ app.post("/api/admin/override-subscription", express.json(), async (req, res) =>
                 return res.status(500).json({ error: "Failed to update subscription", details: error.message });
             }
             
+            await adminAuth.recordAdminAction(req, 'override-subscription', {
+                targetUserId: userId,
+                details: { action, wasSubscribed: userData.is_subscribed, isSubscribed: false, oldPlan: userData.plan }
+            });
+            
             return res.json({
                 success: true,
                 message: `Subscription disabled for user ${userData.email} (${userId})`,
-                user: { ...userData, is_subscribed: false }
+                user: { ...userData, is_subscribed: false, plan: null }
             });
         } else {
             return res.status(400).json({ error: "Invalid action. Use 'enable' or 'disable'." });
@@ -1845,6 +1378,31 @@ app.post("/api/admin/override-subscription", express.json(), async (req, res) =>
     }
 });
 
+// Storage used per user, for admins
+app.get("/api/admin/storage-report", async (req, res) => {
+    try {
+        const report = await fileRetention.getStorageReport();
+        const totalBytes = report.users.reduce((total, user) => total + user.bytes, 0);
+        await adminAuth.recordAdminAction(req, 'storage-report', { details: { users: report.users.length, totalBytes } });
+        return res.json({ ...report, totalBytes });
+    } catch (err) {
+        console.error("Storage report error:", err);
+        return res.status(500).json({ error: "Server error", details: err.message });
+    }
+});
+
+// Run the upload retention sweep now (e.g. on serverless deployments, where the interval doesn't run)
+app.post("/api/admin/cleanup-uploads", async (req, res) => {
+    try {
+        const result = await fileRetention.sweepExpired();
+        await adminAuth.recordAdminAction(req, 'cleanup-uploads', { details: result });
+        return res.json({ success: true, ...result });
+    } catch (err) {
+        console.error("Upload cleanup error:", err);
+        return res.status(500).json({ error: "Server error", details: err.message });
+    }
+});
+
 // For Vercel serverless deployment
 export default function(req, res) {
     return app(req, res);
@@ -1854,4 +1412,7 @@ export default function(req, res) {
   if (!process.env.VERCEL) {
     const PORT = config.port;
     app.listen(PORT, () => console.log(`🔥 Server running on port ${PORT}`));
+    
+    // Remove expired uploads periodically
+    fileRetention.start(config.storage.cleanupIntervalMinutes * 60 * 1000);
   }
\ No newline at end of file
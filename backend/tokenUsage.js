@@ -0,0 +1,61 @@
+// Token usage reported by the providers, normalized to one shape:
+//
+//   { model, inputTokens, outputTokens, cachedTokens }
+//
+// inputTokens counts every prompt token, including the cachedTokens that
+// were served from the provider's prompt cache (and billed at a lower rate).
+// outputTokens includes reasoning tokens, which are billed as output.
+
+/**
+ * Normalize usage from an OpenAI-compatible API (OpenAI, Grok, Deepseek)
+ *
+ * @param {Object} usage - The response's `usage` field
+ * @param {string} model - Model id the request was sent to
+ * @returns {Object|null} Normalized usage, or null if none was reported
+ */
+export function fromOpenAIUsage(usage, model) {
+    if (!usage) return null;
+    return {
+        model,
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        // Deepseek reports cache hits as prompt_cache_hit_tokens
+        cachedTokens: usage.prompt_tokens_details?.cached_tokens || usage.prompt_cache_hit_tokens || 0
+    };
+}
+
+/**
+ * Normalize usage from the Anthropic Messages API. Claude reports cache reads
+ * and writes separately from input_tokens, so they're added back in.
+ *
+ * @param {Object} usage - The message's `usage` field
+ * @param {string} model - Model id the request was sent to
+ * @returns {Object|null} Normalized usage, or null if none was reported
+ */
+export function fromClaudeUsage(usage, model) {
+    if (!usage) return null;
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    return {
+        model,
+        inputTokens: (usage.input_tokens || 0) + cachedTokens + (usage.cache_creation_input_tokens || 0),
+        outputTokens: usage.output_tokens || 0,
+        cachedTokens
+    };
+}
+
+/**
+ * Normalize usage from the Gemini API's `usageMetadata`
+ *
+ * @param {Object} usageMetadata - The response's `usageMetadata` field
+ * @param {string} model - Model id the request was sent to
+ * @returns {Object|null} Normalized usage, or null if none was reported
+ */
+export function fromGeminiUsage(usageMetadata, model) {
+    if (!usageMetadata) return null;
+    return {
+        model,
+        inputTokens: usageMetadata.promptTokenCount || 0,
+        outputTokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+        cachedTokens: usageMetadata.cachedContentTokenCount || 0
+    };
+}
@@ -0,0 +1,176 @@
+import fs from 'fs';
+import { isTextFile, isPdfFile, isSpreadsheetFile, isCsvFile } from './fileUtils.js';
+import { isDocxFile, isPptxFile } from './officeDocuments.js';
+
+// Session ids become directory names and storage key segments
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Bytes read from the start of each upload to sniff its real type
+const SNIFF_BYTES = 4096;
+
+// Bytes per megabyte, for limit messages
+const MB = 1024 * 1024;
+
+// Magic numbers of the binary formats we accept, with the type they identify
+const SIGNATURES = [
+    { kind: 'image', mimetype: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+    { kind: 'image', mimetype: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+    { kind: 'image', mimetype: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+    { kind: 'image', mimetype: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], at: { 8: [0x57, 0x45, 0x42, 0x50] } }, // RIFF....WEBP
+    { kind: 'image', mimetype: 'image/heic', bytes: [], at: { 4: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, 0x63] } }, // ....ftypheic (iPhone photos)
+    { kind: 'image', mimetype: 'image/heif', bytes: [], at: { 4: [0x66, 0x74, 0x79, 0x70, 0x6d, 0x69, 0x66, 0x31] } }, // ....ftypmif1
+    { kind: 'pdf', mimetype: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+    { kind: 'zip', mimetype: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // PK.. (xlsx, docx, pptx)
+    { kind: 'ole', mimetype: 'application/x-ole-storage', bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] } // Legacy .xls
+];
+
+/**
+ * Validate a client-supplied session id. Only letters, digits, "-" and "_"
+ * are allowed, since the id is used in upload paths and storage keys.
+ *
+ * @param {String} value - Session id from the request
+ * @returns {String|null} The trimmed session id, or null if it isn't valid
+ */
+export function canonicalizeSessionId(value) {
+    if (typeof value !== 'string') return null;
+    const sessionId = value.trim();
+    return SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+}
+
+/**
+ * Build a rejection entry for a file the server didn't accept
+ *
+ * @param {Object} file - Multer file object
+ * @param {String} reason - Machine-readable reason code
+ * @param {String} message - Explanation for the user
+ * @returns {Object} { name, mimetype, reason, message }
+ */
+export function rejectUpload(file, reason, message) {
+    console.warn(`🚫 Rejected upload ${file.originalname} (${file.mimetype}): ${message}`);
+    return { name: file.originalname, mimetype: file.mimetype, reason, message };
+}
+
+/**
+ * Check whether the client-declared type is one we accept at all
+ *
+ * @param {Object} file - Multer file object
+ * @returns {Boolean} True if the declared type is supported
+ */
+export function isSupportedUpload(file) {
+    return (file.mimetype || '').startsWith('image/') ||
+        isPdfFile(file) ||
+        isTextFile(file) ||
+        isSpreadsheetFile(file) ||
+        isDocxFile(file) ||
+        isPptxFile(file);
+}
+
+/**
+ * Content kinds a file may have, given the type the client declared
+ *
+ * @param {Object} file - Multer file object
+ * @returns {Array<String>} Accepted kinds ('image', 'pdf', 'zip', 'ole', 'text')
+ */
+function expectedKinds(file) {
+    if ((file.mimetype || '').startsWith('image/')) return ['image'];
+    if (isPdfFile(file)) return ['pdf'];
+    if (isDocxFile(file) || isPptxFile(file)) return ['zip'];
+    // Windows declares .csv files as application/vnd.ms-excel, so go by the name for tabular files
+    const name = file.originalname || '';
+    if (isCsvFile(file) && !/\.xlsx?$/i.test(name)) return ['text'];
+    if (/\.xlsx$/i.test(name)) return ['zip'];
+    if (/\.xls$/i.test(name)) return ['ole', 'zip'];
+    return ['text'];
+}
+
+/**
+ * Check whether bytes look like text: no NUL bytes and valid UTF-8 (or a
+ * UTF-16 byte order mark)
+ *
+ * @param {Buffer} buffer - Start of the file
+ * @returns {Boolean} True if the content is text
+ */
+function looksLikeText(buffer) {
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return true;
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return true;
+    if (buffer.includes(0)) return false;
+    try {
+        // stream: true tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Detect a file's real type from its first bytes
+ *
+ * @param {String} filePath - Path to the file
+ * @returns {Promise<Object|null>} { kind, mimetype }, or null if the type isn't recognised
+ */
+export async function detectFileType(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        const head = buffer.subarray(0, bytesRead);
+
+        const matchesAt = (offset, bytes) => bytes.every((byte, i) => head[offset + i] === byte);
+        const signature = SIGNATURES.find(({ bytes, at = {} }) =>
+            matchesAt(0, bytes) && Object.entries(at).every(([offset, more]) => matchesAt(Number(offset), more))
+        );
+        if (signature) return { kind: signature.kind, mimetype: signature.mimetype };
+
+        if (looksLikeText(head)) return { kind: 'text', mimetype: 'text/plain' };
+        return null;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Check uploaded files against their declared types and the request limits.
+ * Rejected files are deleted; images keep the MIME type sniffed from their
+ * content, since that's what vision models need.
+ *
+ * @param {Array} files - Multer file objects
+ * @param {Object} limits - { maxFiles, maxFileMb, maxTotalMb }
+ * @returns {Promise<Object>} { accepted: [files], rejected: [{ name, mimetype, reason, message }] }
+ */
+export async function validateUploads(files, limits) {
+    const accepted = [];
+    const rejected = [];
+    let totalBytes = 0;
+
+    for (const file of files || []) {
+        let rejection = null;
+        if (accepted.length >= limits.maxFiles) {
+            rejection = rejectUpload(file, 'too_many_files', `Only ${limits.maxFiles} files can be sent with one message.`);
+        } else if (file.size === 0) {
+            rejection = rejectUpload(file, 'empty_file', "The file is empty.");
+        } else if (file.size > limits.maxFileMb * MB) {
+            rejection = rejectUpload(file, 'file_too_large', `Files can be at most ${limits.maxFileMb}MB.`);
+        } else if (totalBytes + file.size > limits.maxTotalMb * MB) {
+            rejection = rejectUpload(file, 'total_size_exceeded', `Files sent with one message can total at most ${limits.maxTotalMb}MB.`);
+        } else {
+            const detected = await detectFileType(file.path).catch(() => null);
+            if (!detected || !expectedKinds(file).includes(detected.kind)) {
+                const found = detected ? detected.mimetype : 'an unrecognised format';
+                rejection = rejectUpload(file, 'content_mismatch', `The file content (${found}) doesn't match its declared type (${file.mimetype}).`);
+            } else if (detected.kind === 'image') {
+                file.mimetype = detected.mimetype;
+            }
+        }
+
+        if (rejection) {
+            rejected.push(rejection);
+            await fs.promises.unlink(file.path).catch(() => {});
+        } else {
+            accepted.push(file);
+            totalBytes += file.size;
+        }
+    }
+
+    return { accepted, rejected };
+}
@@ -0,0 +1,205 @@
+// Table that records the token usage and cost of every chat message
+const USAGE_EVENTS_TABLE = 'usage_events';
+
+// Rows fetched per request when summarizing usage (Supabase caps responses at 1000 rows)
+const SUMMARY_PAGE_SIZE = 1000;
+
+// How usage events can be grouped in a summary, and the key each group uses
+const SUMMARY_GROUPS = {
+    model: (row) => row.model,
+    day: (row) => row.created_at.slice(0, 10),
+    chat: (row) => row.chat_id
+};
+
+// Prices in USD per million tokens: { input, cachedInput, output }.
+// Keys are API model ids; dated ids (e.g. claude-3-5-sonnet-20240620) match
+// by prefix, and the longest matching key wins. Keep this in step with the
+// providers' pricing pages when models or prices change.
+const MODEL_PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, cachedInput: 0.5, output: 1.5 },
+    'gpt-4': { input: 30, cachedInput: 30, output: 60 },
+    'gpt-4-turbo': { input: 10, cachedInput: 10, output: 30 },
+    'gpt-4o': { input: 2.5, cachedInput: 1.25, output: 10 },
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.6 },
+    'claude-3-5-sonnet': { input: 3, cachedInput: 0.3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, cachedInput: 0.3, output: 15 },
+    'claude-3-opus': { input: 15, cachedInput: 1.5, output: 75 },
+    'claude-3-5-haiku': { input: 0.8, cachedInput: 0.08, output: 4 },
+    'claude-3-haiku': { input: 0.25, cachedInput: 0.03, output: 1.25 },
+    'gemini-2.0-flash': { input: 0.1, cachedInput: 0.025, output: 0.4 },
+    'gemini-2.0-pro': { input: 1.25, cachedInput: 0.3125, output: 5 },
+    'gemini-pro': { input: 0.5, cachedInput: 0.5, output: 1.5 },
+    'grok-1': { input: 5, cachedInput: 5, output: 15 },
+    'grok-2': { input: 2, cachedInput: 2, output: 10 },
+    'deepseek-chat': { input: 0.27, cachedInput: 0.07, output: 1.1 },
+    'deepseek-reasoner': { input: 0.55, cachedInput: 0.14, output: 2.19 }
+};
+
+/**
+ * Find the price entry for a model
+ *
+ * @param {string} model - API model id
+ * @returns {Object|null} { input, cachedInput, output } per million tokens, or null if unknown
+ */
+export function getModelPrice(model) {
+    if (!model) return null;
+    if (MODEL_PRICES[model]) return MODEL_PRICES[model];
+
+    const key = Object.keys(MODEL_PRICES)
+        .filter(prefix => model.startsWith(`${prefix}-`))
+        .sort((a, b) => b.length - a.length)[0];
+    return key ? MODEL_PRICES[key] : null;
+}
+
+/**
+ * Calculate what a message cost from its token usage
+ *
+ * @param {Object} usage - Normalized usage (see tokenUsage.js)
+ * @returns {number|null} Cost in USD, or null if the model has no price
+ */
+export function calculateCost(usage) {
+    const price = getModelPrice(usage.model);
+    if (!price) return null;
+
+    const uncachedTokens = Math.max(0, usage.inputTokens - usage.cachedTokens);
+    const cost = (uncachedTokens * price.input +
+        usage.cachedTokens * price.cachedInput +
+        usage.outputTokens * price.output) / 1e6;
+    // Round to a millionth of a dollar, the precision of the cost_usd column
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Create an empty usage total
+ *
+ * @returns {Object} { messages, inputTokens, outputTokens, cachedTokens, costUsd }
+ */
+function emptyTotal() {
+    return { messages: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Add a usage event row to a running total
+ *
+ * @param {Object} total - Total from emptyTotal()
+ * @param {Object} row - usage_events row
+ */
+function addToTotal(total, row) {
+    total.messages++;
+    total.inputTokens += row.input_tokens || 0;
+    total.outputTokens += row.output_tokens || 0;
+    total.cachedTokens += row.cached_tokens || 0;
+    total.costUsd = Math.round((total.costUsd + (Number(row.cost_usd) || 0)) * 1e6) / 1e6;
+}
+
+/**
+ * Create the usage ledger, which writes one `usage_events` row per message:
+ * user_id, chat_id, provider, model, api_model, input_tokens, output_tokens,
+ * cached_tokens, cost_usd, created_at.
+ *
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.supabase - Supabase client (service role)
+ * @returns {Object} { recordUsage, getUsageSummary }
+ */
+export function createUsageLedger({ supabase }) {
+
+    /**
+     * Record a message's usage and cost. Failures are logged rather than
+     * thrown, since the reply has already been delivered.
+     *
+     * @param {Object} event - { userId, chatId, provider, model, usage }
+     * @returns {Promise<Object|null>} The recorded row, or null if nothing was written
+     */
+    async function recordUsage({ userId, chatId, provider, model, usage }) {
+        if (!usage) {
+            console.warn(`⚠️ ${provider} reported no token usage for ${model}; nothing recorded`);
+            return null;
+        }
+
+        const costUsd = calculateCost(usage);
+        if (costUsd === null) {
+            console.warn(`⚠️ No price configured for ${usage.model}; recording usage without a cost`);
+        }
+
+        const row = {
+            user_id: userId,
+            chat_id: chatId,
+            provider,
+            model,
+            api_model: usage.model,
+            input_tokens: usage.inputTokens,
+            output_tokens: usage.outputTokens,
+            cached_tokens: usage.cachedTokens,
+            cost_usd: costUsd,
+            created_at: new Date().toISOString()
+        };
+
+        const { error } = await supabase
+            .from(USAGE_EVENTS_TABLE)
+            .insert(row);
+
+        if (error) {
+            console.error(`❌ Failed to record usage for user ${userId}:`, error);
+            return null;
+        }
+
+        console.log(`📊 ${usage.model}: ${usage.inputTokens} in (${usage.cachedTokens} cached), ${usage.outputTokens} out, $${costUsd ?? '?'}`);
+        return row;
+    }
+
+    /**
+     * Summarize a user's usage between two dates, grouped by model, UTC day
+     * or chat. Day groups include days without usage, so they can be charted
+     * directly.
+     *
+     * @param {string} userId - User to summarize
+     * @param {Object} range - { from: Date, to: Date, groupBy: 'model' | 'day' | 'chat' }
+     * @returns {Promise<Object>} { from, to, groupBy, totals, groups: [{ key, ...totals }] }
+     */
+    async function getUsageSummary(userId, { from, to, groupBy }) {
+        const groupKey = SUMMARY_GROUPS[groupBy];
+        const totals = emptyTotal();
+        const groups = new Map();
+
+        if (groupBy === 'day') {
+            for (let day = new Date(from.toISOString().slice(0, 10)); day <= to; day.setUTCDate(day.getUTCDate() + 1)) {
+                groups.set(day.toISOString().slice(0, 10), emptyTotal());
+            }
+        }
+
+        for (let offset = 0; ; offset += SUMMARY_PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from(USAGE_EVENTS_TABLE)
+                .select('model, chat_id, input_tokens, output_tokens, cached_tokens, cost_usd, created_at')
+                .eq('user_id', userId)
+                .gte('created_at', from.toISOString())
+                .lte('created_at', to.toISOString())
+                .order('created_at', { ascending: true })
+                .range(offset, offset + SUMMARY_PAGE_SIZE - 1);
+
+            if (error) {
+                console.error("Error loading usage events:", error);
+                throw new Error("Failed to load usage: " + error.message);
+            }
+
+            for (const row of data || []) {
+                const key = groupKey(row);
+                if (!groups.has(key)) groups.set(key, emptyTotal());
+                addToTotal(groups.get(key), row);
+                addToTotal(totals, row);
+            }
+
+            if (!data || data.length < SUMMARY_PAGE_SIZE) break;
+        }
+
+        return {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            groupBy,
+            totals,
+            groups: [...groups].map(([key, total]) => ({ key, ...total }))
+        };
+    }
+
+    return { recordUsage, getUsageSummary };
+}
@@ -138,6 +138,9 @@ window.debugUserChats = async function() {
       const userEmail = document.getElementById("user-email");
       const logoutButton = document.getElementById("logoutButton");
       const subscribeButton = document.getElementById("subscribeButton");
+      const planPanel = document.getElementById("planPanel");
+      const accountButton = document.getElementById("accountButton");
+      const accountPanel = document.getElementById("accountPanel");
       const deleteChatButton = document.getElementById("deleteChatButton");
       // Elements for chat history
       const chatsContainer = document.getElementById("chats-container");
@@ -170,9 +173,9 @@ window.debugUserChats = async function() {
       let currentPrd = "";
       let editorOpen = false;
       let prdDetected = false;
-      // Auth token and premium model list
+      // Auth token and the user's plan entitlements (from /api/me/entitlements)
       let authToken = null;
-      const premiumModels = ["gpt-4", "claude", "grok", "deepseek-r1"];
+      let entitlements = null;
       let retryCount = 0;
       const MAX_RETRIES = 3;
   
@@ -386,11 +389,11 @@ window.debugUserChats = async function() {
                   const displayRole = message.role === "assistant" ? "bot" : message.role;
                   
                   // Add to UI with the correct role mapping
-                  appendMessage(message.content, displayRole);
+                  appendMessage(message.content, displayRole, message.reasoning);
                   messagesAdded++;
                   
-                  // Add to in-memory conversation history
-                  userConversations.get(sessionId).push(message);
+                  // Add to in-memory conversation history (reasoning is display-only)
+                  userConversations.get(sessionId).push({ role: message.role, content: message.content });
               });
               
               console.log(`Added ${messagesAdded} messages to UI`);
@@ -409,12 +412,375 @@ window.debugUserChats = async function() {
               
               // Scroll to bottom
               messagesContainer.scrollTop = messagesContainer.scrollHeight;
+              
+              // Show the files uploaded to this chat
+              renderFileLibrary(sessionId);
               return true;
           } catch (err) {
               console.error("Exception loading chat history:", err);
               return false;
           }
       }
+      
+      // Call a chat file library endpoint with the current auth token
+      async function fileLibraryRequest(sessionId, fileId, options = {}) {
+          const { data: sessionData } = await window.supabase.auth.getSession();
+          const token = sessionData?.session?.access_token;
+          if (!token) throw new Error("Not logged in");
+          
+          const baseUrl = API_BASE_URL.replace('/chat', '');
+          const url = `${baseUrl}/chat/${sessionId}/files${fileId ? `/${encodeURIComponent(fileId)}` : ''}`;
+          const res = await fetch(url, {
+              ...options,
+              headers: { "Authorization": `Bearer ${token}`, ...(options.headers || {}) }
+          });
+          if (!res.ok) {
+              const body = await res.json().catch(() => ({}));
+              throw new Error(body.error || `Request failed (${res.status})`);
+          }
+          return res;
+      }
+      
+      // Show the chat's earlier uploads with pin, download and delete controls
+      async function renderFileLibrary(sessionId) {
+          const library = document.getElementById("fileLibrary");
+          if (!library) return;
+          
+          let files = [];
+          try {
+              const res = await fileLibraryRequest(sessionId);
+              files = (await res.json()).files || [];
+          } catch (err) {
+              console.error("Error loading chat files:", err);
+          }
+          
+          library.innerHTML = "";
+          library.style.display = files.length > 0 ? "block" : "none";
+          if (files.length === 0) return;
+          
+          const heading = document.createElement("div");
+          heading.className = "file-library-heading";
+          heading.textContent = "Files in this chat (📌 pinned files are sent with every message)";
+          library.appendChild(heading);
+          
+          files.forEach(file => {
+              const item = document.createElement("div");
+              item.className = "library-file" + (file.pinned ? " pinned" : "");
+              
+              const name = document.createElement("span");
+              name.className = "library-file-name";
+              name.textContent = `${file.name} (${(file.size / 1024).toFixed(1)} KB)`;
+              item.appendChild(name);
+              
+              const pinButton = document.createElement("button");
+              pinButton.textContent = "📌";
+              pinButton.title = file.pinned ? "Unpin" : "Pin to every message";
+              pinButton.onclick = async () => {
+                  try {
+                      await fileLibraryRequest(sessionId, file.id, {
+                          method: "PATCH",
+                          headers: { "Content-Type": "application/json" },
+                          body: JSON.stringify({ pinned: !file.pinned })
+                      });
+                      renderFileLibrary(sessionId);
+                  } catch (err) {
+                      alert("Failed to update file: " + err.message);
+                  }
+              };
+              item.appendChild(pinButton);
+              
+              const downloadButton = document.createElement("button");
+              downloadButton.textContent = "⬇️";
+              downloadButton.title = "Download";
+              downloadButton.onclick = async () => {
+                  try {
+                      const res = await fileLibraryRequest(sessionId, file.id);
+                      const link = document.createElement("a");
+                      link.href = URL.createObjectURL(await res.blob());
+                      link.download = file.name;
+                      link.click();
+                      URL.revokeObjectURL(link.href);
+                  } catch (err) {
+                      alert("Failed to download file: " + err.message);
+                  }
+              };
+              item.appendChild(downloadButton);
+              
+              const deleteButton = document.createElement("button");
+              deleteButton.textContent = "🗑️";
+              deleteButton.title = "Delete";
+              deleteButton.onclick = async () => {
+                  if (!confirm(`Delete ${file.name} from this chat?`)) return;
+                  try {
+                      await fileLibraryRequest(sessionId, file.id, { method: "DELETE" });
+                      renderFileLibrary(sessionId);
+                  } catch (err) {
+                      alert("Failed to delete file: " + err.message);
+                  }
+              };
+              item.appendChild(deleteButton);
+              
+              library.appendChild(item);
+          });
+      }
+      
+      // Usage panel next to the premium badge
+      const usageButton = document.getElementById("usageButton");
+      const usagePanel = document.getElementById("usagePanel");
+      
+      // Fetch the signed-in user's usage for the last 30 days, grouped by day or model
+      async function fetchUsage(groupBy) {
+          const { data: sessionData } = await window.supabase.auth.getSession();
+          const token = sessionData?.session?.access_token;
+          if (!token) throw new Error("Not logged in");
+          
+          // chatId lets the server report the free tier message count for this chat
+          const params = new URLSearchParams({ groupBy, chatId: getSessionId() });
+          const res = await fetch(`/api/usage?${params}`, {
+              headers: { "Authorization": `Bearer ${token}` }
+          });
+          if (!res.ok) {
+              const body = await res.json().catch(() => ({}));
+              throw new Error(body.error || `Request failed (${res.status})`);
+          }
+          return res.json();
+      }
+      
+      function formatTokenCount(count) {
+          return count >= 1000 ? `${(count / 1000).toFixed(1)}K` : String(count);
+      }
+      
+      function formatCost(usd) {
+          return usd > 0 && usd < 0.01 ? "<$0.01" : `$${usd.toFixed(2)}`;
+      }
+      
+      // Show the daily usage chart, the per-model breakdown and, for free users, the allowance left
+      async function renderUsagePanel() {
+          if (!usagePanel) return;
+          usagePanel.textContent = "Loading usage...";
+          
+          let daily, byModel;
+          try {
+              [daily, byModel] = await Promise.all([fetchUsage("day"), fetchUsage("model")]);
+          } catch (err) {
+              console.error("Error loading usage:", err);
+              usagePanel.textContent = "Couldn't load usage: " + err.message;
+              return;
+          }
+          
+          usagePanel.innerHTML = "";
+          const addHeading = (text) => {
+              const heading = document.createElement("div");
+              heading.className = "usage-heading";
+              heading.textContent = text;
+              usagePanel.appendChild(heading);
+          };
+          const addLine = (text) => {
+              const line = document.createElement("div");
+              line.textContent = text;
+              usagePanel.appendChild(line);
+          };
+          
+          // Quotas the plan doesn't limit come back as null
+          if (daily.allowance) {
+              addHeading(`${daily.planName} plan allowance`);
+              [
+                  ["Chats", daily.allowance.chats],
+                  ["Messages in this chat", daily.allowance.messages]
+              ].filter(([, quota]) => quota).forEach(([name, { used, limit }]) => {
+                  addLine(`${name}: ${used} of ${limit}`);
+                  const meter = document.createElement("div");
+                  meter.className = "usage-meter";
+                  const fill = document.createElement("div");
+                  fill.className = "usage-meter-fill";
+                  fill.style.width = `${Math.min(100, (used / limit) * 100)}%`;
+                  meter.appendChild(fill);
+                  usagePanel.appendChild(meter);
+              });
+          }
+          
+          const totals = daily.totals;
+          addHeading("Last 30 days");
+          addLine(`${totals.messages} messages · ${formatTokenCount(totals.inputTokens + totals.outputTokens)} tokens · about ${formatCost(totals.costUsd)}`);
+          
+          // One bar per day, scaled to the busiest day's tokens
+          const chart = document.createElement("div");
+          chart.className = "usage-chart";
+          const maxTokens = Math.max(1, ...daily.groups.map(day => day.inputTokens + day.outputTokens));
+          daily.groups.forEach(day => {
+              const tokens = day.inputTokens + day.outputTokens;
+              const bar = document.createElement("div");
+              bar.className = "usage-bar";
+              bar.style.height = `${(tokens / maxTokens) * 100}%`;
+              bar.title = `${day.key}: ${day.messages} messages, ${formatTokenCount(tokens)} tokens, ${formatCost(day.costUsd)}`;
+              chart.appendChild(bar);
+          });
+          usagePanel.appendChild(chart);
+          
+          addHeading("By model");
+          if (byModel.groups.length === 0) {
+              addLine("No messages yet.");
+          }
+          byModel.groups
+              .sort((a, b) => b.costUsd - a.costUsd || b.messages - a.messages)
+              .forEach(model => {
+                  const row = document.createElement("div");
+                  row.className = "usage-model-row";
+                  const name = document.createElement("span");
+                  name.textContent = model.key;
+                  const detail = document.createElement("span");
+                  detail.textContent = `${model.messages} msgs · ${formatTokenCount(model.inputTokens + model.outputTokens)} · ${formatCost(model.costUsd)}`;
+                  row.append(name, detail);
+                  usagePanel.appendChild(row);
+              });
+      }
+      
+      // Open or close one of the header panels (usage, plans, account), closing the others
+      function toggleHeaderPanel(panel, render) {
+          const opening = panel.style.display === "none";
+          [usagePanel, planPanel, accountPanel].forEach(other => {
+              if (other) other.style.display = "none";
+          });
+          panel.style.display = opening ? "block" : "none";
+          if (opening) render();
+      }
+      
+      if (usageButton && usagePanel) {
+          usageButton.addEventListener("click", () => toggleHeaderPanel(usagePanel, renderUsagePanel));
+      }
+      
+      // Fetch the signed-in user's plan, subscription and recent invoices
+      async function fetchBillingSubscription() {
+          const { data: sessionData } = await window.supabase.auth.getSession();
+          const token = sessionData?.session?.access_token;
+          if (!token) throw new Error("Not logged in");
+          
+          const res = await fetch(`/api/billing/subscription`, {
+              headers: { "Authorization": `Bearer ${token}` }
+          });
+          if (!res.ok) {
+              const body = await res.json().catch(() => ({}));
+              throw new Error(body.error || `Request failed (${res.status})`);
+          }
+          return res.json();
+      }
+      
+      // Send the user to the Stripe Billing Portal to cancel, change plan or card, or get invoices
+      async function openBillingPortal(button) {
+          const label = button.textContent;
+          try {
+              button.disabled = true;
+              button.textContent = "Opening...";
+              
+              const { data: sessionData } = await window.supabase.auth.getSession();
+              authToken = sessionData.session?.access_token;
+              if (!authToken) throw new Error("Not logged in");
+              
+              const res = await fetch(`/api/billing/portal`, {
+                  method: "POST",
+                  headers: {
+                      "Content-Type": "application/json",
+                      "Authorization": `Bearer ${authToken}`
+                  }
+              });
+              const body = await res.json().catch(() => ({}));
+              if (!res.ok || !body.url) throw new Error(body.error || "Failed to open the billing portal");
+              
+              window.location.href = body.url;
+          } catch (err) {
+              console.error("Failed to open billing portal:", err);
+              alert("Error: " + err.message);
+              button.disabled = false;
+              button.textContent = label;
+          }
+      }
+      
+      function formatDate(iso) {
+          return new Date(iso).toLocaleDateString(undefined, { year: "numeric", month: "short", day: "numeric" });
+      }
+      
+      // Stripe amounts are in the currency's smallest unit (e.g. cents)
+      function formatAmount(amount, currency) {
+          return new Intl.NumberFormat(undefined, { style: "currency", currency: currency.toUpperCase() }).format(amount / 100);
+      }
+      
+      // Show the plan, when it renews or ends, recent invoices and a link to the billing portal
+      async function renderAccountPanel() {
+          accountPanel.textContent = "Loading account...";
+          
+          let billing;
+          try {
+              billing = await fetchBillingSubscription();
+          } catch (err) {
+              console.error("Error loading subscription:", err);
+              accountPanel.textContent = "Couldn't load your account: " + err.message;
+              return;
+          }
+          
+          accountPanel.innerHTML = "";
+          const addHeading = (text) => {
+              const heading = document.createElement("div");
+              heading.className = "usage-heading";
+              heading.textContent = text;
+              accountPanel.appendChild(heading);
+          };
+          const addLine = (text, className) => {
+              const line = document.createElement("div");
+              if (className) line.className = className;
+              line.textContent = text;
+              accountPanel.appendChild(line);
+          };
+          
+          addHeading(`${billing.planName} plan`);
+          const subscription = billing.subscription;
+          if (subscription) {
+              const interval = subscription.interval ? ` · billed ${subscription.interval}ly` : "";
+              addLine(`Status: ${subscription.status}${interval}`);
+              if (subscription.status === "trialing" && subscription.trialEnd) {
+                  addLine(`Trial ends ${formatDate(subscription.trialEnd)}`);
+              }
+              if (subscription.cancelAtPeriodEnd || subscription.cancelAt) {
+                  const endsAt = subscription.cancelAt || subscription.currentPeriodEnd;
+                  addLine(`Cancels on ${endsAt ? formatDate(endsAt) : "the end of this period"}`, "account-notice");
+              } else if (subscription.currentPeriodEnd && billing.isSubscribed) {
+                  addLine(`Renews ${formatDate(subscription.currentPeriodEnd)}`);
+              }
+          } else if (!billing.isSubscribed) {
+              addLine("You don't have a subscription. Upgrade for more models and higher limits.");
+          }
+          
+          if (billing.invoices.length > 0) {
+              addHeading("Recent invoices");
+              billing.invoices.forEach(invoice => {
+                  const row = document.createElement("div");
+                  row.className = "usage-model-row";
+                  const date = document.createElement("span");
+                  date.textContent = `${formatDate(invoice.created)} · ${formatAmount(invoice.total, invoice.currency)}`;
+                  const link = document.createElement(invoice.hostedInvoiceUrl ? "a" : "span");
+                  link.textContent = invoice.status;
+                  if (invoice.hostedInvoiceUrl) {
+                      link.href = invoice.hostedInvoiceUrl;
+                      link.target = "_blank";
+                      link.rel = "noopener";
+                  }
+                  row.append(date, link);
+                  accountPanel.appendChild(row);
+              });
+          }
+          
+          // The portal is for managing an active subscription; past invoices are linked above
+          if (billing.isSubscribed && billing.hasBillingAccount) {
+              const manageButton = document.createElement("button");
+              manageButton.className = "account-action";
+              manageButton.textContent = "Manage billing";
+              manageButton.addEventListener("click", () => openBillingPortal(manageButton));
+              accountPanel.appendChild(manageButton);
+          }
+      }
+      
+      if (accountButton && accountPanel) {
+          accountButton.addEventListener("click", () => toggleHeaderPanel(accountPanel, renderAccountPanel));
+      }
   
       // Add this function to your chat.js file
   window.debugChatLoading = async function() {
@@ -613,80 +979,19 @@ function addDebugButton() {
               const fixButtons = document.createElement('div');
               fixButtons.style.marginTop = '15px';
               
-              const forceBtn = document.createElement('button');
-              forceBtn.textContent = 'Force Update';
-              forceBtn.style.marginRight = '10px';
-              forceBtn.onclick = async () => {
-                  forceBtn.disabled = true;
-                  forceBtn.textContent = 'Working...';
-                  try {
-                      const response = await fetch('/api/force-subscription-update', {
-                          headers: {
-                              'Authorization': `Bearer ${authToken}`
-                          }
-                      });
-                      const result = await response.json();
-                      alert(result.success ? 'Subscription forced! Refreshing page...' : 'Failed: ' + result.error);
-                      if (result.success) location.reload();
-                  } catch (e) {
-                      alert('Error: ' + e.message);
-                  }
-                  forceBtn.disabled = false;
-                  forceBtn.textContent = 'Force Update';
-              };
-              
-              const dbFixBtn = document.createElement('button');
-              dbFixBtn.textContent = 'Fix Database';
-              dbFixBtn.style.marginRight = '10px';
-              dbFixBtn.onclick = async () => {
-                  dbFixBtn.disabled = true;
-                  dbFixBtn.textContent = 'Working...';
-                  try {
-                      const response = await fetch('/api/fix-db', {
-                          headers: {
-                              'Authorization': `Bearer ${authToken}`
-                          }
-                      });
-                      const result = await response.json();
-                      alert(result.success ? 'Database fixed! Refreshing page...' : 'Failed: ' + result.error);
-                      if (result.success) location.reload();
-                  } catch (e) {
-                      alert('Error: ' + e.message);
-                  }
-                  dbFixBtn.disabled = false;
-                  dbFixBtn.textContent = 'Fix Database';
-              };
-              
-              const adminBtn = document.createElement('button');
-              adminBtn.textContent = 'Admin Override';
-              adminBtn.onclick = async () => {
-                  adminBtn.disabled = true;
-                  adminBtn.textContent = 'Working...';
-                  try {
-                      const response = await fetch('/api/admin/override-subscription', {
-                          method: 'POST',
-                          headers: {
-                              'Content-Type': 'application/json',
-                              'Authorization': `Bearer ${authToken}`
-                          },
-                          body: JSON.stringify({
-                              userId: sessionData.session.user.id,
-                              action: 'enable'
-                          })
-                      });
-                      const result = await response.json();
-                      alert(result.success ? 'Admin override successful! Refreshing page...' : 'Failed: ' + result.error);
-                      if (result.success) location.reload();
-                  } catch (e) {
-                      alert('Error: ' + e.message);
-                  }
-                  adminBtn.disabled = false;
-                  adminBtn.textContent = 'Admin Override';
+              const reconcileBtn = document.createElement('button');
+              reconcileBtn.textContent = 'Re-check with Stripe';
+              reconcileBtn.onclick = async () => {
+                  reconcileBtn.disabled = true;
+                  reconcileBtn.textContent = 'Working...';
+                  const isSubscribed = await reconcileSubscription();
+                  alert('Subscription status: ' + (isSubscribed ? 'Active' : 'Not active'));
+                  if (isSubscribed) location.reload();
+                  reconcileBtn.disabled = false;
+                  reconcileBtn.textContent = 'Re-check with Stripe';
               };
               
-              fixButtons.appendChild(forceBtn);
-              fixButtons.appendChild(dbFixBtn);
-              fixButtons.appendChild(adminBtn);
+              fixButtons.appendChild(reconcileBtn);
               debugPanel.appendChild(fixButtons);
           } else {
               userInfoDiv.innerHTML = `<p>Not logged in</p>`;
@@ -790,22 +1095,57 @@ function addDebugButton() {
           });
       }
   
+      // Load the user's plan and the models it includes from the server
+      async function loadEntitlements() {
+          try {
+              const { data: sessionData } = await window.supabase.auth.getSession();
+              const token = sessionData?.session?.access_token;
+              if (!token) return null;
+              
+              const response = await fetch('/api/me/entitlements', {
+                  headers: { 'Authorization': `Bearer ${token}` }
+              });
+              if (!response.ok) {
+                  console.error("Entitlements request failed:", response.status);
+                  return null;
+              }
+              entitlements = await response.json();
+              console.log(`Plan: ${entitlements.planName}`);
+              return entitlements;
+          } catch (err) {
+              console.error("Error loading entitlements:", err);
+              return null;
+          }
+      }
+      
+      // Access info for a model: { id, allowed, premium }, or null until entitlements load
+      function getModelAccess(modelId) {
+          return entitlements?.models.find(model => model.id === modelId) || null;
+      }
+      
+      // Premium models are the ones the free plan doesn't include
+      function isPremiumModel(modelId) {
+          return !!getModelAccess(modelId)?.premium;
+      }
+      
       // Update UI based on subscription status
-      function updateUIForSubscription(isSubscribed) {
+      async function updateUIForSubscription(isSubscribed) {
           console.log("Updating UI for subscription status:", isSubscribed);
           // Update subscription button visibility
           subscribeButton.style.display = isSubscribed ? "none" : "inline-block";
+          if (isSubscribed) planPanel.style.display = "none";
           
-          // Update model dropdown options
-          if (modelSelect) {
+          // Enable the models the user's plan includes
+          await loadEntitlements();
+          if (modelSelect && entitlements) {
               for (let opt of modelSelect.options) {
-                  if (premiumModels.some(pm => opt.value.toLowerCase().includes(pm))) {
-                      opt.disabled = !isSubscribed;
-                      if (!isSubscribed && !opt.textContent.includes(" (Premium)")) {
-                          opt.textContent += " (Premium)";
-                      } else if (isSubscribed) {
-                          opt.textContent = opt.textContent.replace(" (Premium)", "");
-                      }
+                  const access = getModelAccess(opt.value);
+                  if (!access) continue;
+                  opt.disabled = !access.allowed;
+                  if (!access.allowed && !opt.textContent.includes(" (Premium)")) {
+                      opt.textContent += " (Premium)";
+                  } else if (access.allowed) {
+                      opt.textContent = opt.textContent.replace(" (Premium)", "");
                   }
               }
           }
@@ -855,7 +1195,7 @@ function addDebugButton() {
                   
                   // Trust the server's computed isSubscribed value
                   userIsSubscribed = result.isSubscribed;
-                  updateUIForSubscription(userIsSubscribed);
+                  await updateUIForSubscription(userIsSubscribed);
                   
                   return userIsSubscribed;
               } else {
@@ -868,138 +1208,32 @@ function addDebugButton() {
           }
       }
   
-      // Function to force update subscription through direct API call
-      async function forceSubscriptionUpdate() {
-          try {
-              console.log("Forcing subscription update...");
-              const response = await fetch('/api/force-subscription-update', {
-                  headers: {
-                      'Authorization': `Bearer ${authToken}`
-                  }
-              });
-              
-              const result = await response.json();
-              console.log("Force update result:", result);
-              
-              if (result.success) {
-                  userIsSubscribed = true;
-                  updateUIForSubscription(true);
-                  return true;
-              }
-              return false;
-          } catch (e) {
-              console.error("Error forcing subscription update:", e);
-              return false;
-          }
-      }
-  
-      // Function to fix the database (create user record or enable subscription)
-      async function fixDatabaseRecord() {
+      // Ask the server to re-check the subscription with Stripe (e.g. when the webhook was missed)
+      async function reconcileSubscription(checkoutSessionId) {
           try {
-              console.log("Attempting to fix user database record...");
-              const response = await fetch('/api/fix-db', {
+              console.log("Reconciling subscription with Stripe...");
+              const response = await fetch('/api/subscription/reconcile', {
+                  method: 'POST',
                   headers: {
+                      'Content-Type': 'application/json',
                       'Authorization': `Bearer ${authToken}`
-                  }
+                  },
+                  body: JSON.stringify(checkoutSessionId ? { checkoutSessionId } : {})
               });
               
               const result = await response.json();
-              console.log("Database fix result:", result);
+              console.log("Subscription reconcile result:", result);
               
-              if (result.success) {
-                  userIsSubscribed = true;
-                  updateUIForSubscription(true);
-                  return true;
-              }
-              return false;
+              if (!response.ok) return false;
+              userIsSubscribed = !!result.isSubscribed;
+              await updateUIForSubscription(userIsSubscribed);
+              return userIsSubscribed;
           } catch (e) {
-              console.error("Error fixing database:", e);
+              console.error("Error reconciling subscription:", e);
               return false;
           }
       }
   
-      // Try multiple approaches to activate subscription
-      async function activateSubscription() {
-          console.log("Starting subscription activation process...");
-          
-          // 1. Try to force update directly through API
-          try {
-              console.log("Attempting direct force update...");
-              const forceResponse = await fetch('/api/force-subscription-update', {
-                  headers: {
-                      'Authorization': `Bearer ${authToken}`
-                  }
-              });
-              
-              if (forceResponse.ok) {
-                  const result = await forceResponse.json();
-                  if (result.success) {
-                      console.log("Force update successful:", result);
-                      userIsSubscribed = true;
-                      updateUIForSubscription(true);
-                      return true;
-                  }
-              }
-          } catch (e) {
-              console.error("Force update failed:", e);
-          }
-          
-          // 2. Try database fix
-          try {
-              console.log("Attempting database fix...");
-              const dbFixResponse = await fetch('/api/fix-db', {
-                  headers: {
-                      'Authorization': `Bearer ${authToken}`
-                  }
-              });
-              
-              if (dbFixResponse.ok) {
-                  const result = await dbFixResponse.json();
-                  if (result.success) {
-                      console.log("Database fix successful:", result);
-                      userIsSubscribed = true;
-                      updateUIForSubscription(true);
-                      return true;
-                  }
-              }
-          } catch (e) {
-              console.error("Database fix failed:", e);
-          }
-          
-          // 3. Try admin override
-          try {
-              console.log("Attempting admin override...");
-              const { data: userData } = await window.supabase.auth.getUser();
-              if (userData?.user?.id) {
-                  const overrideResponse = await fetch('/api/admin/override-subscription', {
-                      method: 'POST',
-                      headers: {
-                          'Content-Type': 'application/json',
-                          'Authorization': `Bearer ${authToken}`
-                      },
-                      body: JSON.stringify({
-                          userId: userData.user.id,
-                          action: 'enable'
-                      })
-                  });
-                  
-                  if (overrideResponse.ok) {
-                      const result = await overrideResponse.json();
-                      if (result.success) {
-                          console.log("Admin override successful:", result);
-                          userIsSubscribed = true;
-                          updateUIForSubscription(true);
-                          return true;
-                      }
-                  }
-              }
-          } catch (e) {
-              console.error("Admin override failed:", e);
-          }
-          
-          return false;
-      }
-  
       // Handle initial authentication state
       const { data: { session } } = await window.supabase.auth.getSession();
       let userIsSubscribed = false;
@@ -1096,7 +1330,7 @@ function addDebugButton() {
                   // Force select a premium model to demonstrate it works
                   if (modelSelect) {
                       for (let opt of modelSelect.options) {
-                          if (premiumModels.some(pm => opt.value.toLowerCase().includes(pm))) {
+                          if (isPremiumModel(opt.value) && !opt.disabled) {
                               modelSelect.value = opt.value;
                               selectedModel = opt.value;
                               localStorage.setItem("selectedModel", selectedModel);
@@ -1113,13 +1347,13 @@ function addDebugButton() {
               retries++;
               if (retries < maxRetries) {
                   // Wait 1.5 seconds before retry
-                  await new Promise(resolve => setTimeout(resolve, A));
+                  await new Promise(resolve => setTimeout(resolve, 1500));
                   return await checkWithRetry();
               }
               
-              // Max retries reached, try to force activate
-              console.log("Max retries reached, attempting force activation...");
-              const activated = await activateSubscription();
+              // Max retries reached: the webhook may have been missed, so check the checkout with Stripe
+              console.log("Max retries reached, reconciling with Stripe...");
+              const activated = await reconcileSubscription(params.get('session_id'));
               
               if (document.getElementById("subscription-loading")) {
                   document.getElementById("subscription-loading").remove();
@@ -1129,7 +1363,7 @@ function addDebugButton() {
                   // Force select a premium model
                   if (modelSelect) {
                       for (let opt of modelSelect.options) {
-                          if (premiumModels.some(pm => opt.value.toLowerCase().includes(pm))) {
+                          if (isPremiumModel(opt.value) && !opt.disabled) {
                               modelSelect.value = opt.value;
                               selectedModel = opt.value;
                               localStorage.setItem("selectedModel", selectedModel);
@@ -1156,6 +1390,10 @@ function addDebugButton() {
               alert("Subscription was canceled or not completed.");
           }, 1000);
           window.history.replaceState({}, document.title, window.location.pathname);
+      } else if (params.get('billing') === 'return' && session) {
+          // Back from the billing portal: pick up any plan change or cancellation without waiting for the webhook
+          window.history.replaceState({}, document.title, window.location.pathname);
+          reconcileSubscription();
       }
   
       // Google OAuth login button
@@ -1186,12 +1424,16 @@ function addDebugButton() {
           userInfo.style.display = "none";
       });
       
-      // Subscribe (Upgrade) button
-      subscribeButton.addEventListener("click", async () => {
+      // Plan picker opened by the Upgrade button
+      const BILLING_INTERVAL_LABELS = { month: "Monthly", year: "Annual" };
+      
+      // Start a Stripe checkout for a plan and billing interval
+      async function startCheckout(planId, interval, button) {
+          const label = button.textContent;
           try {
               // Show loading state
-              subscribeButton.disabled = true;
-              subscribeButton.textContent = "Processing...";
+              button.disabled = true;
+              button.textContent = "Processing...";
               
               // Refresh token before making the request
               const { data: sessionData } = await window.supabase.auth.getSession();
@@ -1199,8 +1441,8 @@ function addDebugButton() {
               
               if (!authToken) {
                   alert("Authentication error. Please refresh the page and try again.");
-                  subscribeButton.disabled = false;
-                  subscribeButton.textContent = "Upgrade";
+                  button.disabled = false;
+                  button.textContent = label;
                   return;
               }
               
@@ -1210,7 +1452,8 @@ function addDebugButton() {
                   headers: {
                       "Content-Type": "application/json",
                       "Authorization": `Bearer ${authToken}`
-                  }
+                  },
+                  body: JSON.stringify({ planId, interval })
               });
               
               if (!res.ok) {
@@ -1229,10 +1472,56 @@ function addDebugButton() {
               console.error("Failed to initiate checkout:", err);
               alert("Error: " + (err.message || "Failed to initiate checkout. Please try again."));
               // Reset button state
-              subscribeButton.disabled = false;
-              subscribeButton.textContent = "Upgrade";
+              button.disabled = false;
+              button.textContent = label;
           }
-      });
+      }
+      
+      // List the plans on sale, with a checkout button per billing interval
+      async function renderPlanPanel() {
+          planPanel.textContent = "Loading plans...";
+          
+          let plans;
+          try {
+              const res = await fetch(`/api/billing/plans`);
+              if (!res.ok) throw new Error(`Request failed (${res.status})`);
+              ({ plans } = await res.json());
+          } catch (err) {
+              console.error("Error loading plans:", err);
+              planPanel.textContent = "Couldn't load plans: " + err.message;
+              return;
+          }
+          
+          planPanel.innerHTML = "";
+          const heading = document.createElement("div");
+          heading.className = "usage-heading";
+          heading.textContent = "Choose a plan";
+          planPanel.appendChild(heading);
+          
+          if (plans.length === 0) {
+              planPanel.appendChild(document.createTextNode("No plans are available right now."));
+              return;
+          }
+          
+          plans.forEach(plan => {
+              const row = document.createElement("div");
+              row.className = "plan-option";
+              const name = document.createElement("span");
+              name.textContent = plan.trialDays > 0 ? `${plan.name} · ${plan.trialDays}-day free trial` : plan.name;
+              const buttons = document.createElement("span");
+              plan.intervals.forEach(interval => {
+                  const button = document.createElement("button");
+                  button.textContent = BILLING_INTERVAL_LABELS[interval] || interval;
+                  button.addEventListener("click", () => startCheckout(plan.planId, interval, button));
+                  buttons.appendChild(button);
+              });
+              row.append(name, buttons);
+              planPanel.appendChild(row);
+          });
+      }
+      
+      // Subscribe (Upgrade) button
+      subscribeButton.addEventListener("click", () => toggleHeaderPanel(planPanel, renderPlanPanel));
       
       // Listen for Supabase auth state changes (login/logout)
       window.supabase.auth.onAuthStateChange(async (event, session) => {
@@ -1623,8 +1912,26 @@ function addDebugButton() {
           }
       }
   
+      // Create a collapsible "thinking" block for model reasoning (e.g. Deepseek R1)
+      function createReasoningBlock(reasoning, isStreaming) {
+          const details = document.createElement("details");
+          details.classList.add("reasoning-block");
+          if (isStreaming) details.open = true;
+          
+          const summary = document.createElement("summary");
+          summary.textContent = isStreaming ? "Thinking..." : "Thought process";
+          details.appendChild(summary);
+          
+          const reasoningContent = document.createElement("div");
+          reasoningContent.classList.add("reasoning-content");
+          reasoningContent.textContent = reasoning || "";
+          details.appendChild(reasoningContent);
+          
+          return details;
+      }
+  
       // Append a message to the chat (sanitize and parse Markdown for bot messages)
-      function appendMessage(text, sender) {
+      function appendMessage(text, sender, reasoning) {
           const messageDiv = document.createElement("div");
           messageDiv.classList.add("message", sender);
           
@@ -1636,6 +1943,12 @@ function addDebugButton() {
               
               // Parse markdown and sanitize for bot/assistant messages
               messageDiv.innerHTML = "<div class='message-content'>" + marked.parse(DOMPurify.sanitize(text)) + "</div>";
+              
+              // Show stored reasoning above the answer
+              if (reasoning) {
+                  messageDiv.classList.add("stacked");
+                  messageDiv.insertBefore(createReasoningBlock(reasoning, false), messageDiv.firstChild);
+              }
           } else {
               // Regular handling for user messages
               messageDiv.innerHTML = "<div class='message-content'>" + DOMPurify.sanitize(text) + "</div>";
@@ -1841,20 +2154,19 @@ function addDebugButton() {
           streamControls.classList.add("active");
   
           try {
-              // Check if user is trying to use a premium model
-              const isPremiumModel = premiumModels.some(pm => selectedModel.toLowerCase().includes(pm));
+              // Check if the user's plan includes the selected model
+              const needsUpgrade = getModelAccess(selectedModel)?.allowed === false;
               
-              // If trying to use premium model but not subscribed, force subscription check
-              if (isPremiumModel && !userIsSubscribed) {
+              // If the plan doesn't include the model, force a subscription check
+              if (needsUpgrade && !userIsSubscribed) {
                   console.log("Premium model selected but user not marked as subscribed. Rechecking subscription...");
                   const actuallySubscribed = await refreshSubscriptionStatus();
                   if (!actuallySubscribed) {
-                      // Try forcing subscription if API check fails
+                      // Re-check with Stripe in case a payment hasn't been recorded yet
                       if (retryCount < MAX_RETRIES) {
                           retryCount++;
-                          const forceSuccess = await forceSubscriptionUpdate();
-                          if (forceSuccess) {
-                              userIsSubscribed = true;
+                          const reconciled = await reconcileSubscription();
+                          if (reconciled) {
                               // Continue with premium model
                           } else {
                               // Fall back to non-premium model
@@ -1914,7 +2226,19 @@ function addDebugButton() {
               // Send request and stream the response
               const response = await fetch(apiUrl, fetchOptions);
               if (!response.ok) {
-                  throw new Error(`Server responded with status: ${response.status}`);
+                  // Errors arrive as a single SSE error event (or JSON) with the HTTP status
+                  const errorBody = await response.text();
+                  let errorMessage = `Server responded with status: ${response.status}`;
+                  try {
+                      const errorData = JSON.parse(errorBody.replace(/^data: /, ""));
+                      errorMessage = errorData.error || errorMessage;
+                      if (errorData.rejectedFiles) {
+                          errorMessage += " " + describeRejectedFiles(errorData.rejectedFiles);
+                      }
+                  } catch (parseError) {
+                      // Keep the status-based message
+                  }
+                  throw new Error(errorMessage);
               }
               // Create container for incoming bot response
               const messageDiv = document.createElement("div");
@@ -1930,6 +2254,8 @@ function addDebugButton() {
               const decoder = new TextDecoder("utf-8");
               let done = false;
               let fullReply = "";
+              let fullReasoning = "";
+              let reasoningBlock = null;
               while (!done) {
                   const { value, done: doneReading } = await reader.read();
                   done = doneReading;
@@ -1943,7 +2269,38 @@ function addDebugButton() {
                               if (parsed.error) {
                                   throw new Error(parsed.error);
                               }
+                              if (parsed.context && parsed.context.droppedMessages > 0) {
+                                  // The server trimmed older history to fit the model's context window
+                                  const contextNotice = document.createElement("div");
+                                  contextNotice.classList.add("context-notice");
+                                  contextNotice.textContent = `${parsed.context.droppedMessages} earlier message${parsed.context.droppedMessages === 1 ? "" : "s"} (~${parsed.context.droppedTokens} tokens) left out to fit this model's context window.`;
+                                  messageDiv.classList.add("stacked");
+                                  messageDiv.insertBefore(contextNotice, messageDiv.firstChild);
+                              }
+                              if (parsed.rejectedFiles) {
+                                  // Some uploads failed the server's checks and weren't sent to the model
+                                  const rejectedNotice = document.createElement("div");
+                                  rejectedNotice.classList.add("context-notice");
+                                  rejectedNotice.textContent = describeRejectedFiles(parsed.rejectedFiles);
+                                  messageDiv.classList.add("stacked");
+                                  messageDiv.insertBefore(rejectedNotice, messageDiv.firstChild);
+                              }
+                              if (parsed.reasoning) {
+                                  // Reasoning tokens go into a collapsible block above the answer
+                                  if (!reasoningBlock) {
+                                      reasoningBlock = createReasoningBlock("", true);
+                                      messageDiv.classList.add("stacked");
+                                      messageDiv.insertBefore(reasoningBlock, messageContent);
+                                  }
+                                  fullReasoning += parsed.reasoning;
+                                  reasoningBlock.querySelector(".reasoning-content").textContent = fullReasoning;
+                              }
                               if (parsed.chunk) {
+                                  // Collapse the thinking block once the answer starts
+                                  if (reasoningBlock && reasoningBlock.open && !fullReply) {
+                                      reasoningBlock.open = false;
+                                      reasoningBlock.querySelector("summary").textContent = "Thought process";
+                                  }
                                   fullReply += parsed.chunk;
                                   messageContent.innerHTML = marked.parse(fullReply);
                               } else if (parsed.done) {
@@ -1956,6 +2313,10 @@ function addDebugButton() {
                   }
               }
               
+              if (reasoningBlock) {
+                  reasoningBlock.querySelector("summary").textContent = "Thought process";
+              }
+              
               activeStream = false;
               streamControls.classList.remove("active");
               sendButton.disabled = false;
@@ -1965,6 +2326,9 @@ function addDebugButton() {
               // FIXED: Always refresh chat sidebar after successfully sending a message
               // This ensures non-subscribed users also see their updated chat list
               await renderChatHistory();
+              renderFileLibrary(getSessionId());
+              // Keep an open usage panel in step with the message just sent
+              if (usagePanel && usagePanel.style.display !== "none") renderUsagePanel();
           } catch (error) {
               activeStream = false;
               streamControls.classList.remove("active");
@@ -1999,6 +2363,11 @@ function addDebugButton() {
           }
       }
   
+      // Summarize the files the server refused, one reason per file
+      function describeRejectedFiles(rejectedFiles) {
+          return "Not sent: " + rejectedFiles.map(file => `${file.name} (${file.message})`).join("; ");
+      }
+  
       // Handle file selection from input or drag-drop
       function handleFileSelection(files) {
           for (const file of files) {
@@ -2124,14 +2493,11 @@ function addDebugButton() {
               const isSubscribed = await refreshSubscriptionStatus();
               console.log("Database subscription check result:", isSubscribed);
               
-              // Try to force update if not subscribed
+              // Re-check with Stripe if not subscribed
               if (!isSubscribed && !apiResult.isSubscribed) {
-                  console.log("Attempting to force update subscription...");
-                  const forceResult = await forceSubscriptionUpdate();
-                  console.log("Force update result:", forceResult);
-                  
-                  if (forceResult) {
-                      alert("Subscription status forced to active!");
+                  const reconciled = await reconcileSubscription();
+                  if (reconciled) {
+                      alert("Subscription found in Stripe and activated!");
                       return true;
                   }
               }
@@ -2149,7 +2515,7 @@ function addDebugButton() {
       window.enablePremiumModels = function() {
           if (modelSelect) {
               for (let opt of modelSelect.options) {
-                  if (premiumModels.some(pm => opt.value.toLowerCase().includes(pm))) {
+                  if (isPremiumModel(opt.value)) {
                       opt.disabled = false;
                       opt.textContent = opt.textContent.replace(" (Premium)", "");
                   }